@@ -0,0 +1,29 @@
+import { currentSeason } from './seasons.js';
+import { resolveTeamName } from './teams.js';
+
+// Schema properties shared by most tools
+export const teamProperty = { type: 'string', minLength: 1, description: 'Team name, abbreviation or nickname (e.g., "oklahoma", "OU", "Sooners")' };
+export const seasonProperty = {
+  type: ['integer', 'string'],
+  format: 'season',
+  description: 'Season, by the year it ends in (2025 is 2024-25); also "2024-25", "this season" or "last season" (default: current season)'
+};
+// Tools taking yearProperty also accept a range, and run once per season in it
+export const yearProperty = {
+  ...seasonProperty,
+  format: 'season-range',
+  description: `${seasonProperty.description}. A range like "2022 to 2025" or "last 3 seasons" covers each season in turn`
+};
+export const queryProperty = { type: 'string', description: 'Optional player name to filter' };
+export const conferenceOnlyProperty = { type: 'boolean', default: false, description: 'Only count conference games (e.g., SEC play)' };
+
+// Normalize the team/year arguments every tool accepts.
+// Args have already been validated, so required fields are present and the
+// year is a season number; the team is resolved to its canonical CFBD school
+// name and a missing year means the current season.
+export async function teamAndSeason(args) {
+  return {
+    team: await resolveTeamName(args.team),
+    year: args.year ?? currentSeason()
+  };
+}
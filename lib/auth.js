@@ -0,0 +1,89 @@
+// Client API keys for the HTTP transport.
+//
+// Keys come from the JSON file at MCP_KEYS_FILE:
+//   { "clients": [
+//       { "name": "dashboard", "key": "…", "tools": ["get_basketball_score"], "rateLimit": 60 },
+//       { "name": "ops", "key": "…", "admin": true }
+//   ] }
+// `tools` limits a client to those tools (default: all); a scoped client only
+// sees MCP resources if the list includes "resources". `rateLimit` overrides
+// RATE_LIMIT_PER_KEY, and `admin` allows cache purges and key reloads. The
+// legacy MCP_API_KEY still works as an admin client named "default". With no
+// keys configured at all the server stays open, as before, except for the
+// admin routes: those need an admin key.
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { MCP_API_KEY, MCP_KEYS_FILE } from './config.js';
+
+let clients = [];
+
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+function validateClient(client, index) {
+  if (!client?.name || typeof client.key !== 'string' || client.key.length < 16) {
+    throw new Error(`${MCP_KEYS_FILE}: client ${index + 1} needs a name and a key of at least 16 characters`);
+  }
+  if (client.tools !== undefined && !Array.isArray(client.tools)) {
+    throw new Error(`${MCP_KEYS_FILE}: tools for ${client.name} must be a list of tool names`);
+  }
+  return {
+    name: client.name,
+    keyDigest: digest(client.key),
+    tools: client.tools ? new Set(client.tools) : null,
+    rateLimit: client.rateLimit ?? null,
+    admin: Boolean(client.admin)
+  };
+}
+
+// (Re)load client keys; throws on a malformed file and keeps the previous keys
+export function loadClients() {
+  const next = [];
+  if (MCP_KEYS_FILE) {
+    const file = JSON.parse(fs.readFileSync(MCP_KEYS_FILE, 'utf8'));
+    (file.clients || []).forEach((client, i) => next.push(validateClient(client, i)));
+  }
+  if (MCP_API_KEY) {
+    next.push({ name: 'default', keyDigest: digest(MCP_API_KEY), tools: null, rateLimit: null, admin: true });
+  }
+  const names = next.map(c => c.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`Duplicate client name: ${duplicate}`);
+
+  clients = next;
+  return clients.length;
+}
+
+export function authEnabled() {
+  return clients.length > 0;
+}
+
+// Client for an Authorization header. Returns null when the key is wrong,
+// and an open client when no keys are configured. Keys are compared as
+// fixed-length digests so timing doesn't reveal how much of a key matched.
+export function authenticate(header) {
+  if (!authEnabled()) return { name: 'anonymous', tools: null, rateLimit: null, admin: false };
+
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match) return null;
+
+  const presented = digest(match[1]);
+  let found = null;
+  for (const client of clients) {
+    if (crypto.timingSafeEqual(presented, client.keyDigest)) found = client;
+  }
+  return found;
+}
+
+// Whether a client may see and call a tool (no client: local stdio, unrestricted)
+export function canUseTool(client, name) {
+  return !client?.tools || client.tools.has(name);
+}
+
+// Resources read the same CFBD data as the tools, so they're scoped too
+export const RESOURCES_SCOPE = 'resources';
+
+export function canUseResources(client) {
+  return canUseTool(client, RESOURCES_SCOPE);
+}
+
+loadClients();
@@ -0,0 +1,42 @@
+// Circuit breaker: after `threshold` consecutive failures the circuit opens
+// and calls fail fast for `cooldownSeconds`. Then one trial call is let
+// through (half-open); its success closes the circuit, its failure reopens it.
+export function createCircuitBreaker({ threshold, cooldownSeconds }) {
+  let failures = 0;
+  let openedAt = null;
+  let trialRunning = false;
+
+  function state() {
+    if (openedAt === null) return 'closed';
+    return Date.now() - openedAt < cooldownSeconds * 1000 ? 'open' : 'half-open';
+  }
+
+  // Whether a call may go ahead now
+  function allow() {
+    const current = state();
+    if (current === 'closed') return true;
+    if (current === 'open' || trialRunning) return false;
+    trialRunning = true;
+    return true;
+  }
+
+  function success() {
+    failures = 0;
+    openedAt = null;
+    trialRunning = false;
+  }
+
+  function failure() {
+    failures++;
+    trialRunning = false;
+    if (openedAt !== null || failures >= threshold) openedAt = Date.now();
+  }
+
+  // Seconds until an open circuit lets a trial call through
+  function retryIn() {
+    if (state() !== 'open') return 0;
+    return Math.ceil((openedAt + cooldownSeconds * 1000 - Date.now()) / 1000);
+  }
+
+  return { allow, success, failure, state, retryIn, stats: () => ({ state: state(), failures }) };
+}
@@ -0,0 +1,124 @@
+import fs from 'node:fs';
+import { log } from './logger.js';
+
+// Build a cache key from an endpoint and its query, independent of param order
+export function cacheKey(endpoint, query = {}) {
+  const qs = Object.keys(query)
+    .filter(k => query[k] !== undefined && query[k] !== null)
+    .sort()
+    .map(k => `${k}=${String(query[k]).toLowerCase()}`)
+    .join('&');
+  return qs ? `${endpoint}?${qs}` : endpoint;
+}
+
+// TTL-based response cache with optional JSON file backing.
+// Expired entries are kept for another `staleTtl` seconds so getStale() can
+// still serve them when a fresh copy can't be fetched.
+export function createCache({ maxEntries = 500, file, staleTtl = 0 } = {}) {
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, staleHits: 0, sets: 0, evictions: 0 };
+  let saveTimer = null;
+  let writing = Promise.resolve();
+
+  const isDead = (entry, now) => entry.expires + staleTtl * 1000 <= now;
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(saved)) {
+        if (!isDead(entry, now)) entries.set(key, entry);
+      }
+      log.info('Cache loaded', { file, entries: entries.size });
+    } catch (err) {
+      log.error('Cache file unreadable', { file, error: err.message });
+    }
+  }
+
+  function write() {
+    const snapshot = Object.fromEntries(entries);
+    writing = fs.promises.writeFile(file, JSON.stringify(snapshot))
+      .catch(err => log.error('Cache file not written', { file, error: err.message }));
+    return writing;
+  }
+
+  function persist() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      write();
+    }, 1000);
+    saveTimer.unref();
+  }
+
+  // Write out a pending save now, and wait for any in progress (before exiting)
+  async function flush() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      write();
+    }
+    await writing;
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    const now = Date.now();
+    if (!entry || entry.expires <= now) {
+      if (entry && isDead(entry, now)) entries.delete(key);
+      counters.misses++;
+      return undefined;
+    }
+    // Refresh recency so the oldest-used entry is evicted first
+    entries.delete(key);
+    entries.set(key, entry);
+    counters.hits++;
+    return entry.value;
+  }
+
+  function set(key, value, ttlSeconds) {
+    entries.delete(key);
+    const now = Date.now();
+    entries.set(key, { value, expires: now + ttlSeconds * 1000, stored: now });
+    counters.sets++;
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+    persist();
+  }
+
+  // Last value stored for key, expired or not: { value, stored (ms) }
+  function getStale(key) {
+    const entry = entries.get(key);
+    if (!entry || isDead(entry, Date.now())) return undefined;
+    counters.staleHits++;
+    return { value: entry.value, stored: entry.stored ?? entry.expires };
+  }
+
+  // Remove everything, or only keys starting with the given endpoint prefix
+  function purge(prefix) {
+    let removed = 0;
+    for (const key of [...entries.keys()]) {
+      if (!prefix || key.startsWith(prefix)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    persist();
+    return removed;
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      entries: entries.size,
+      maxEntries,
+      ...counters,
+      hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : 0,
+      file: file || null
+    };
+  }
+
+  return { get, getStale, set, purge, flush, stats };
+}
@@ -0,0 +1,214 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import {
+  CFBD_BASE_URL,
+  CFBD_BASKETBALL_KEY,
+  CACHE_TTL_CURRENT,
+  CACHE_TTL_PAST,
+  CACHE_TTL_LIVE,
+  CACHE_STALE_TTL,
+  CACHE_MAX_ENTRIES,
+  CACHE_FILE,
+  UPSTREAM_TIMEOUT,
+  UPSTREAM_RETRIES,
+  UPSTREAM_BACKOFF,
+  UPSTREAM_MAX_RETRY_AFTER,
+  BREAKER_THRESHOLD,
+  BREAKER_COOLDOWN
+} from './config.js';
+import { createCircuitBreaker } from './breaker.js';
+import { createCache, cacheKey } from './cache.js';
+import { ToolError } from './errors.js';
+import { log } from './logger.js';
+import { counter, histogram, secondsSince } from './metrics.js';
+import { currentSeason } from './seasons.js';
+
+// CFBD request that failed: a non-OK status, or no response at all (status null)
+export class UpstreamError extends ToolError {
+  constructor(status, message = `CFBD API error: ${status}`) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+
+  // CFBD is down or throttling us, as opposed to rejecting the request itself
+  get unavailable() {
+    return this.status === null || this.status === 429 || this.status >= 500;
+  }
+}
+
+export const cache = createCache({ maxEntries: CACHE_MAX_ENTRIES, file: CACHE_FILE, staleTtl: CACHE_STALE_TTL });
+
+const breaker = createCircuitBreaker({ threshold: BREAKER_THRESHOLD, cooldownSeconds: BREAKER_COOLDOWN });
+
+// After a 429, every request waits out Retry-After instead of adding to the pile
+let throttledUntil = 0;
+
+// In-flight requests, so concurrent identical lookups share one fetch
+const pending = new Map();
+
+// Per tool call: the oldest "as of" time of any stale data served to it
+const staleReads = new AsyncLocalStorage();
+
+export function upstreamStats() {
+  return {
+    breaker: breaker.stats(),
+    throttledFor: Math.max(0, Math.ceil((throttledUntil - Date.now()) / 1000))
+  };
+}
+
+// Run fn, reporting whether any CFBD data it got was a stale fallback:
+// resolves to { value, asOf } where asOf is null or a Date
+export async function trackStale(fn) {
+  const reads = { asOf: null };
+  const value = await staleReads.run(reads, fn);
+  return { value, asOf: reads.asOf === null ? null : new Date(reads.asOf) };
+}
+
+// Completed seasons don't change, so they can be kept much longer
+function ttlFor(query) {
+  const season = Number(query.season);
+  return season && season < currentSeason() ? CACHE_TTL_PAST : CACHE_TTL_CURRENT;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Full jitter: a random wait (ms) up to the exponential step, so retries from
+// concurrent requests don't arrive together
+const backoff = attempt => Math.random() * UPSTREAM_BACKOFF * 2 ** attempt;
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterSeconds(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+const upstreamRequests = counter('cfbd_requests_total', 'CFBD fetch attempts by endpoint and status (HTTP code, timeout or network)', ['endpoint', 'status']);
+const upstreamDuration = histogram('cfbd_request_duration_seconds', 'CFBD fetch attempt latency', ['endpoint']);
+const upstreamRejected = counter('cfbd_rejected_total', 'CFBD requests not attempted because the circuit was open or CFBD had throttled us', ['reason']);
+
+// Metric label for an endpoint, with ids collapsed (/plays/game/:id)
+const endpointLabel = endpoint => endpoint.replace(/\/\d+(?=\/|$)/g, '/:id');
+
+// One fetch attempt; network failures and timeouts become UpstreamError(null)
+async function fetchOnce(path, url) {
+  const endpoint = endpointLabel(path);
+  const start = process.hrtime.bigint();
+  let status;
+  try {
+    const response = await fetch(url, {
+      headers: { Authorization: `Bearer ${CFBD_BASKETBALL_KEY}` },
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT * 1000)
+    });
+    status = response.status;
+    return response;
+  } catch (err) {
+    status = err.name === 'TimeoutError' ? 'timeout' : 'network';
+    const reason = status === 'timeout' ? `timed out after ${UPSTREAM_TIMEOUT}s` : err.message;
+    throw new UpstreamError(null, `CFBD API unreachable: ${reason}`);
+  } finally {
+    const seconds = secondsSince(start);
+    upstreamRequests.inc({ endpoint, status });
+    upstreamDuration.observe({ endpoint }, seconds);
+    log.debug('CFBD response', { endpoint, status, durationMs: Math.round(seconds * 1000) });
+  }
+}
+
+// Fetch with retries: 5xx and network errors back off and retry, a 429
+// waits for Retry-After when that's short enough, other statuses fail at once
+async function fetchWithRetry(endpoint, url) {
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    let wait = backoff(attempt);
+    try {
+      const response = await fetchOnce(endpoint, url);
+      if (response.ok) return await response.json();
+      error = new UpstreamError(response.status);
+      if (response.status === 429) {
+        const retryAfter = retryAfterSeconds(response.headers.get('retry-after'));
+        if (retryAfter !== null) wait = retryAfter * 1000;
+        throttledUntil = Date.now() + wait;
+        error = new UpstreamError(429, `CFBD API rate limit reached; try again in ${Math.ceil(wait / 1000)}s`);
+      }
+    } catch (err) {
+      if (!(err instanceof UpstreamError)) throw err;
+      error = err;
+    }
+    // A long Retry-After isn't worth holding the tool call open for
+    if (!error.unavailable || attempt >= UPSTREAM_RETRIES || wait > UPSTREAM_MAX_RETRY_AFTER * 1000) throw error;
+    log.warn('CFBD request failed, retrying', { endpoint, error: error.message, retry: attempt + 1, of: UPSTREAM_RETRIES, waitMs: Math.round(wait) });
+    await sleep(wait);
+  }
+}
+
+// Fetch through the circuit breaker and 429 cool-off, failing fast while either is active
+async function guardedFetch(endpoint, url) {
+  const throttled = Math.ceil((throttledUntil - Date.now()) / 1000);
+  if (throttled > 0) {
+    upstreamRejected.inc({ reason: 'throttled' });
+    throw new UpstreamError(429, `CFBD API rate limit reached; try again in ${throttled}s`);
+  }
+  if (!breaker.allow()) {
+    upstreamRejected.inc({ reason: 'circuit_open' });
+    throw new UpstreamError(null, `CFBD API is unavailable; try again in ${breaker.retryIn() || 1}s`);
+  }
+  try {
+    const data = await fetchWithRetry(endpoint, url);
+    breaker.success();
+    return data;
+  } catch (err) {
+    // Only outages count toward opening the circuit, not bad requests or throttling
+    if (err instanceof UpstreamError && err.unavailable && err.status !== 429) breaker.failure();
+    else breaker.success();
+    throw err;
+  }
+}
+
+// GET a CFBD basketball endpoint, serving from cache when possible.
+// Resolves to the parsed JSON body; throws UpstreamError when CFBD fails.
+// If CFBD is unavailable but an expired copy is cached, that is served
+// instead and the current trackStale() call records its age.
+// Pass { live: true } for data that changes during a game.
+export async function cfbdGet(endpoint, query = {}, { live = false } = {}) {
+  if (!CFBD_BASKETBALL_KEY) {
+    throw new Error('CFBD Basketball API key not configured');
+  }
+
+  const key = cacheKey(endpoint, query);
+
+  const cached = cache.get(key);
+  if (cached !== undefined) {
+    log.debug('Cache hit', { key });
+    return cached;
+  }
+
+  if (!pending.has(key)) {
+    const params = new URLSearchParams();
+    for (const [k, v] of Object.entries(query)) {
+      if (v !== undefined && v !== null) params.set(k, v);
+    }
+    const url = `${CFBD_BASE_URL}${endpoint}?${params}`;
+    log.info('CFBD fetch', { endpoint, query: params.toString() });
+
+    const request = guardedFetch(endpoint, url).then(data => {
+      cache.set(key, data, live ? CACHE_TTL_LIVE : ttlFor(query));
+      return data;
+    });
+    pending.set(key, request);
+    request.catch(() => {}).finally(() => pending.delete(key));
+  }
+
+  try {
+    return await pending.get(key);
+  } catch (err) {
+    const stale = err instanceof UpstreamError && err.unavailable ? cache.getStale(key) : undefined;
+    if (stale === undefined) throw err;
+
+    log.warn('Serving stale data', { key, asOf: new Date(stale.stored).toISOString(), error: err.message });
+    const reads = staleReads.getStore();
+    if (reads && (reads.asOf === null || stale.stored < reads.asOf)) reads.asOf = stale.stored;
+    return stale.value;
+  }
+}
@@ -0,0 +1,48 @@
+// Environment-driven settings shared across the server
+export const PORT = process.env.PORT || 8080;
+export const MCP_API_KEY = process.env.MCP_API_KEY;
+export const MCP_KEYS_FILE = process.env.MCP_KEYS_FILE;
+export const CFBD_BASKETBALL_KEY = process.env.CFBD_BASKETBALL_KEY;
+
+// CFBD API host; point it at the fixture server (npm run fixtures) to work offline
+export const CFBD_BASE_URL = (process.env.CFBD_BASE_URL || 'https://api.collegebasketballdata.com').replace(/\/+$/, '');
+
+// Response cache
+export const CACHE_TTL_CURRENT = Number(process.env.CACHE_TTL_CURRENT || 5 * 60);   // seconds
+export const CACHE_TTL_LIVE = Number(process.env.CACHE_TTL_LIVE || 30);            // seconds, games in progress
+export const CACHE_TTL_PAST = Number(process.env.CACHE_TTL_PAST || 7 * 24 * 60 * 60); // seconds
+export const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 500);
+export const CACHE_FILE = process.env.CACHE_FILE;
+// How long expired responses are kept as a fallback for when CFBD is down
+export const CACHE_STALE_TTL = Number(process.env.CACHE_STALE_TTL || 7 * 24 * 60 * 60); // seconds
+
+// CFBD requests: retries for 5xx and network errors, and the circuit breaker
+// that stops calling CFBD for a while after repeated failures
+export const UPSTREAM_TIMEOUT = Number(process.env.UPSTREAM_TIMEOUT || 10);        // seconds per attempt
+export const UPSTREAM_RETRIES = Number(process.env.UPSTREAM_RETRIES ?? 2);
+export const UPSTREAM_BACKOFF = Number(process.env.UPSTREAM_BACKOFF || 500);       // ms, doubled per retry
+export const UPSTREAM_MAX_RETRY_AFTER = Number(process.env.UPSTREAM_MAX_RETRY_AFTER || 10); // seconds worth waiting on a 429
+export const BREAKER_THRESHOLD = Number(process.env.BREAKER_THRESHOLD || 5);       // consecutive failures
+export const BREAKER_COOLDOWN = Number(process.env.BREAKER_COOLDOWN || 30);        // seconds
+
+// Requests per minute on /mcp; a client's own rateLimit overrides the per-key default
+export const RATE_LIMIT_PER_KEY = Number(process.env.RATE_LIMIT_PER_KEY || 120);
+export const RATE_LIMIT_PER_IP = Number(process.env.RATE_LIMIT_PER_IP || 300);
+
+// Express "trust proxy" setting, so client IPs are right behind a load balancer
+export const TRUST_PROXY = process.env.TRUST_PROXY;
+
+// Team whose current-season resources are listed by resources/list
+export const DEFAULT_TEAM = process.env.DEFAULT_TEAM || 'Oklahoma';
+
+// How often subscribed resources are re-read to detect changes
+export const RESOURCE_POLL_INTERVAL = Number(process.env.RESOURCE_POLL_INTERVAL || 5 * 60); // seconds
+
+// MCP sessions idle longer than this are forgotten
+export const SESSION_TTL = Number(process.env.SESSION_TTL || 60 * 60); // seconds
+
+// Minimum log level: debug, info, warn or error
+export const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+
+// Time zone used to decide which calendar day a game falls on
+export const TIME_ZONE = process.env.TIME_ZONE || 'America/Chicago';
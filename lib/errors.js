@@ -0,0 +1,7 @@
+// Tool failure whose message is safe to show to the caller as-is
+export class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
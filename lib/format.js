@@ -0,0 +1,22 @@
+import { currentSeason } from './seasons.js';
+
+// CFBD seasons are named by the year they end in: 2025 → "2024-2025"
+export function seasonLabel(year) {
+  return `${year - 1}-${year}`;
+}
+
+// Hint appended when a season has no data
+export function currentSeasonHint() {
+  const year = currentSeason();
+  return `The current season is ${seasonLabel(year)} (year=${year}). Try asking for that year!`;
+}
+
+// Fixed-width text table: first column left-aligned, the rest right-aligned
+export function renderTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(String(h).length, ...rows.map(r => String(r[i]).length)));
+  const line = cells => cells
+    .map((c, i) => (i === 0 ? String(c).padEnd(widths[i]) : String(c).padStart(widths[i])))
+    .join('  ')
+    .trimEnd();
+  return [line(header), ...rows.map(line)].join('\n') + '\n';
+}
@@ -0,0 +1,32 @@
+// String helpers shared by the team and player lookups
+
+// Lowercase, strip accents and collapse whitespace
+export function foldText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Levenshtein distance, used to rank near-miss spellings
+export function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = temp;
+    }
+  }
+  return row[b.length];
+}
+
+// 0..1, where 1 is an exact match
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - distance(a, b) / Math.max(a.length, b.length);
+}
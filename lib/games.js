@@ -0,0 +1,228 @@
+import { cfbdGet } from './cfbd.js';
+import { TIME_ZONE } from './config.js';
+import { ToolError } from './errors.js';
+import { log } from './logger.js';
+import { sameTeam, resolveTeamName } from './teams.js';
+
+// Schema properties for tools that pick out a single game
+export const gameSelectorProperties = {
+  date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Game date, YYYY-MM-DD (local time)' },
+  opponent: { type: 'string', description: 'Opponent team name; picks the most recent meeting' },
+  gameId: { type: 'integer', description: 'CFBD game id' }
+};
+
+// Calendar day (YYYY-MM-DD) a game falls on in the configured time zone
+export function localDate(iso, timeZone = TIME_ZONE) {
+  return new Date(iso).toLocaleDateString('en-CA', { timeZone });
+}
+
+export const timeZoneProperty = { type: 'string', description: `IANA time zone for dates and tip times (default: ${TIME_ZONE})` };
+
+// Validate a time zone name, falling back to the configured default
+export function resolveTimeZone(timeZone) {
+  if (!timeZone) return TIME_ZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format();
+    return timeZone;
+  } catch {
+    throw new ToolError(`Unknown time zone "${timeZone}" (use an IANA name like America/Chicago)`);
+  }
+}
+
+// Normalized game state from CFBD's status strings
+export function gameState(game) {
+  const status = String(game.status || '').toLowerCase().replace(/[\s_-]/g, '');
+  if (status === 'final' || status === 'completed') return 'final';
+  if (['inprogress', 'live', 'halftime', 'endofperiod'].includes(status)) return 'live';
+  if (status === 'postponed' || status === 'delayed' || status === 'suspended') return 'postponed';
+  if (status === 'canceled' || status === 'cancelled' || status === 'forfeit') return 'canceled';
+  return 'scheduled';
+}
+
+// "Tue, Nov 4 · 7:00 PM CST", or the date with "TBA" when the time isn't set
+export function formatTipoff(game, timeZone = TIME_ZONE) {
+  const start = new Date(game.startDate);
+  const day = start.toLocaleDateString('en-US', { timeZone, weekday: 'short', month: 'short', day: 'numeric' });
+  if (game.startTimeTbd || game.isStartTimeTBD) return `${day} · TBA`;
+  const time = start.toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+  return `${day} · ${time}`;
+}
+
+// "Lloyd Noble Center, Norman, OK"
+export function formatVenue(game) {
+  const place = [game.city, game.state].filter(Boolean).join(', ');
+  return [game.venue, place].filter(Boolean).join(', ');
+}
+
+// Whole days between two instants, by calendar day in the time zone
+export function daysBetween(fromIso, to = new Date(), timeZone = TIME_ZONE) {
+  const day = d => Date.parse(`${localDate(d, timeZone)}T00:00:00Z`);
+  return Math.round((day(to) - day(fromIso)) / 86400000);
+}
+
+// TV networks by game id, from CFBD's media endpoint (empty if unavailable)
+export async function fetchBroadcasts(team, year) {
+  try {
+    const data = await cfbdGet('/games/media', { team, season: year });
+    const byGame = new Map();
+    for (const row of data || []) {
+      const names = (row.broadcasts || [])
+        .map(b => b.broadcastName || b.name || b.outlet)
+        .filter(Boolean);
+      if (row.outlet) names.push(row.outlet);
+      if (names.length > 0) byGame.set(row.id ?? row.gameId, [...new Set(names)].join('/'));
+    }
+    return byGame;
+  } catch (err) {
+    log.warn('Broadcast info unavailable', { team, error: err.message });
+    return new Map();
+  }
+}
+
+// " - W 70-65", " - LIVE 41-38", " - POSTPONED"
+export function statusText(game, view) {
+  switch (gameState(game)) {
+    case 'final': return view.result ? ` - ${view.result} ${view.teamScore}-${view.oppScore}` : ' - Final';
+    case 'live': return ` - LIVE ${view.teamScore ?? 0}-${view.oppScore ?? 0}`;
+    case 'postponed': return ' - POSTPONED';
+    case 'canceled': return ' - CANCELED';
+    default: return '';
+  }
+}
+
+// Upcoming (not yet final, not canceled) games from now on, soonest first.
+// Games earlier today, in timeZone, still count.
+export function upcomingGames(games, now = new Date(), timeZone = TIME_ZONE) {
+  return games.filter(g => {
+    const state = gameState(g);
+    if (state === 'live') return true;
+    if (state !== 'scheduled' && state !== 'postponed') return false;
+    return new Date(g.startDate) >= now || daysBetween(g.startDate, now, timeZone) === 0;
+  });
+}
+
+export function isCompleted(game) {
+  return gameState(game) === 'final' && game.homePoints != null && game.awayPoints != null;
+}
+
+// A team's side of a game record
+export function teamView(game, team) {
+  const isHome = sameTeam(game.homeTeam, team);
+  const teamScore = isHome ? game.homePoints : game.awayPoints;
+  const oppScore = isHome ? game.awayPoints : game.homePoints;
+  return {
+    isHome,
+    opponent: isHome ? game.awayTeam : game.homeTeam,
+    location: isHome || game.neutralSite ? 'vs' : '@',
+    teamScore,
+    oppScore,
+    result: isCompleted(game) ? (teamScore > oppScore ? 'W' : 'L') : null,
+    neutral: Boolean(game.neutralSite)
+  };
+}
+
+// Plain game record for structured output, with the team's side when given
+export function gameData(game, team) {
+  const data = {
+    id: game.id,
+    startDate: game.startDate,
+    status: gameState(game),
+    homeTeam: game.homeTeam,
+    awayTeam: game.awayTeam,
+    homePoints: game.homePoints ?? null,
+    awayPoints: game.awayPoints ?? null,
+    neutralSite: Boolean(game.neutralSite),
+    conferenceGame: Boolean(game.conferenceGame),
+    venue: formatVenue(game) || null,
+    tv: game.tv ?? null
+  };
+  if (!team) return data;
+
+  const view = teamView(game, team);
+  return {
+    ...data,
+    opponent: view.opponent,
+    location: view.neutral ? 'neutral' : view.isHome ? 'home' : 'away',
+    teamScore: view.teamScore ?? null,
+    oppScore: view.oppScore ?? null,
+    result: view.result
+  };
+}
+
+// All of a team's games in one season, oldest first
+export async function fetchSeasonGames(team, year) {
+  const data = await cfbdGet('/games', { team, season: year });
+  return (data || [])
+    .filter(g => g.season === year)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
+
+// Games for "what's on now" questions asked without a year. Until the
+// November changeover the inferred season is the one that ended in the spring,
+// so once it has nothing left to play, the next season is used instead if
+// `ready(games)` says its schedule has something to show.
+// Resolves to { year, games }.
+export async function fetchActiveSeasonGames(team, year, { ready = games => games.length > 0, now = new Date() } = {}) {
+  const games = await fetchSeasonGames(team, year);
+  if (upcomingGames(games, now).length > 0) return { year, games };
+  const next = await fetchSeasonGames(team, year + 1);
+  return ready(next) ? { year: year + 1, games: next } : { year, games };
+}
+
+// Re-fetch games that could be in progress (live now, or due to tip today)
+// with the short live TTL, so a season list cached minutes ago isn't stale
+export async function refreshLiveGames(games, team, year, now = new Date()) {
+  const today = localDate(now);
+  const active = games.filter(g => {
+    const state = gameState(g);
+    return state === 'live' || (state === 'scheduled' && localDate(g.startDate) === today);
+  });
+  if (active.length === 0) return games;
+
+  // UTC day range around today, so late local tips that fall on the next UTC day are included
+  const tomorrow = new Date(now.getTime() + 86400000).toISOString().slice(0, 10);
+  const yesterday = new Date(now.getTime() - 86400000).toISOString().slice(0, 10);
+  const data = await cfbdGet('/games', { team, season: year, startDateRange: yesterday, endDateRange: tomorrow }, { live: true });
+  const fresh = new Map((data || []).map(g => [g.id, g]));
+  return games.map(g => fresh.get(g.id) || g);
+}
+
+// Most recent completed game, or null
+export function latestCompleted(games) {
+  const completed = games.filter(isCompleted);
+  return completed.length > 0 ? completed[completed.length - 1] : null;
+}
+
+// Pick one game by id, date or opponent; defaults to the most recent final.
+// Throws ToolError describing what was searched when nothing matches.
+export async function selectGame(games, { team, date, opponent, gameId }) {
+  if (gameId) {
+    const game = games.find(g => g.id === gameId);
+    if (!game) throw new ToolError(`Game ${gameId} is not on ${team}'s schedule for that season`);
+    return game;
+  }
+
+  let candidates = games;
+
+  if (date) {
+    candidates = candidates.filter(g => localDate(g.startDate) === date);
+    if (candidates.length === 0) {
+      throw new ToolError(`${team} did not play on ${date}`);
+    }
+  }
+
+  if (opponent) {
+    const opponentName = await resolveTeamName(opponent);
+    candidates = candidates.filter(g => sameTeam(teamView(g, team).opponent, opponentName));
+    if (candidates.length === 0) {
+      throw new ToolError(`No game found between ${team} and ${opponentName}${date ? ` on ${date}` : ' that season'}`);
+    }
+  }
+
+  // Prefer the latest completed game among the matches
+  const game = latestCompleted(candidates) || candidates[candidates.length - 1];
+  if (!game || (!date && !opponent && !isCompleted(game))) {
+    throw new ToolError(`No completed games found for ${team} that season yet`);
+  }
+  return game;
+}
@@ -0,0 +1,322 @@
+// HTTP mode: the MCP Streamable HTTP transport plus health, cache and metrics routes
+import express from 'express';
+import { PORT, CFBD_BASKETBALL_KEY, RATE_LIMIT_PER_KEY, RATE_LIMIT_PER_IP, TRUST_PROXY } from './config.js';
+import { authenticate, authEnabled, loadClients } from './auth.js';
+import { cache, upstreamStats } from './cfbd.js';
+import { log, requestIdFrom, withRequestId } from './logger.js';
+import { collect, counter, histogram, renderMetrics, secondsSince } from './metrics.js';
+import { createRateLimiter } from './ratelimit.js';
+import { toolCount } from './registry.js';
+import { handleMessage, errorResponse, SUPPORTED_VERSIONS } from './protocol.js';
+import { createSession, getSession, endSession, sessionCount } from './sessions.js';
+
+export const app = express();
+
+if (TRUST_PROXY) app.set('trust proxy', TRUST_PROXY);
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency', ['method', 'route']);
+
+// Every request gets a correlation id (the caller's X-Request-Id if sent),
+// echoed back and carried by all logs written while handling it
+app.use((req, res, next) => {
+  const requestId = requestIdFrom(req.headers['x-request-id']);
+  const start = process.hrtime.bigint();
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    // Route patterns, not raw paths, keep the label set small
+    const route = req.route?.path ?? 'unmatched';
+    const seconds = secondsSince(start);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    withRequestId(requestId, () => log.info('HTTP request', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000)
+    }));
+  });
+  withRequestId(requestId, next);
+});
+
+app.use(express.json());
+
+// Health check
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'healthy' });
+});
+
+// Root
+app.get('/', (req, res) => {
+  res.json({ 
+    service: 'CFBD Basketball MCP Server', 
+    status: 'running', 
+    tools: toolCount(),
+    sessions: sessionCount(),
+    upstream: upstreamStats(),
+    sport: 'basketball'
+  });
+});
+
+const ipLimiter = createRateLimiter({ limit: RATE_LIMIT_PER_IP });
+const keyLimiter = createRateLimiter({ limit: RATE_LIMIT_PER_KEY });
+
+function transportError(res, status, code, message, id, data) {
+  return res.status(status).json(errorResponse(id, code, message, data));
+}
+
+function rateLimited(res, limit, id) {
+  res.set('Retry-After', String(limit.retryAfter));
+  return transportError(res, 429, -32000, 'Rate limit exceeded', id, { retryAfter: limit.retryAfter });
+}
+
+// The API client for a request, or null after sending 429/401. The per-IP
+// limit runs first so guessing keys is throttled too.
+function requireClient(req, res) {
+  const ipLimit = ipLimiter.take(req.ip);
+  if (!ipLimit.allowed) {
+    rateLimited(res, ipLimit, req.body?.id);
+    return null;
+  }
+  const client = authenticate(req.headers.authorization);
+  if (!client) {
+    transportError(res, 401, -32001, 'Unauthorized', req.body?.id);
+    return null;
+  }
+  return client;
+}
+
+function requireAdmin(req, res) {
+  const client = requireClient(req, res);
+  if (client && !client.admin) {
+    transportError(res, 403, -32003, 'Forbidden: admin key required');
+    return null;
+  }
+  return client;
+}
+
+// Cache stats
+app.get('/cache', (req, res) => {
+  if (!requireClient(req, res)) return;
+  res.json(cache.stats());
+});
+
+// Purge cache (optionally only one endpoint, e.g. ?endpoint=/games)
+app.delete('/cache', (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const removed = cache.purge(req.query.endpoint);
+  log.info('Cache purged', { endpoint: req.query.endpoint, removed });
+  res.json({ purged: removed, ...cache.stats() });
+});
+
+// Point-in-time figures, read on each scrape
+const BREAKER_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+collect(() => {
+  const stats = cache.stats();
+  const upstream = upstreamStats();
+  return [
+    { name: 'mcp_sessions', help: 'Open MCP sessions', value: sessionCount() },
+    { name: 'cache_entries', help: 'Cached CFBD responses, including stale ones', value: stats.entries },
+    ...Object.entries({ hit: stats.hits, miss: stats.misses, stale: stats.staleHits, set: stats.sets, eviction: stats.evictions })
+      .map(([kind, value]) => ({
+        name: 'cache_events_total',
+        help: 'Cache hits, misses, stale fallbacks, writes and evictions',
+        type: 'counter',
+        labels: { kind },
+        value
+      })),
+    { name: 'cfbd_circuit_state', help: 'CFBD circuit breaker: 0 closed, 1 half-open, 2 open', value: BREAKER_STATES[upstream.breaker.state] },
+    { name: 'cfbd_throttled_seconds', help: 'Seconds left waiting out a CFBD 429', value: upstream.throttledFor }
+  ];
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  if (!requireClient(req, res)) return;
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Re-read MCP_KEYS_FILE without a restart; a bad file leaves the current keys in place
+app.post('/admin/keys/reload', (req, res) => {
+  const client = requireAdmin(req, res);
+  if (!client) return;
+  try {
+    const count = loadClients();
+    log.info('Client keys reloaded', { client: client.name, clients: count });
+    res.json({ clients: count });
+  } catch (err) {
+    log.error('Client key reload failed', { error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// MCP endpoint: Streamable HTTP transport. POST carries JSON-RPC messages
+// (one or a batch), GET opens an SSE stream, DELETE ends the session.
+
+// Event streams must be asked for by name; JSON is the default
+function acceptsEvents(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+function acceptsJson(req) {
+  const accept = req.headers.accept || '*/*';
+  return accept.includes('application/json') || accept.includes('*/*');
+}
+
+// Sends one JSON-RPC message as a server-sent event
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+}
+
+// Session for a non-initialize request, or null after sending the error:
+// 400 without an Mcp-Session-Id or with an unsupported protocol version,
+// 404 when the session is unknown, expired or another client's (the client
+// must re-initialize)
+function requireSession(req, res, client) {
+  const id = req.headers['mcp-session-id'];
+  if (!id) {
+    transportError(res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+    return null;
+  }
+  const session = getSession(id);
+  if (!session || session.client !== client.name) {
+    transportError(res, 404, -32000, 'Session not found');
+    return null;
+  }
+  const version = req.headers['mcp-protocol-version'];
+  if (version && !SUPPORTED_VERSIONS.includes(version)) {
+    transportError(res, 400, -32000, `Bad Request: unsupported protocol version ${version}`);
+    return null;
+  }
+  return session;
+}
+
+app.post('/mcp', async (req, res) => {
+  const client = requireClient(req, res);
+  if (!client) return;
+
+  const batch = Array.isArray(req.body);
+  const messages = batch ? req.body : [req.body];
+  if (messages.length === 0) {
+    return transportError(res, 400, -32600, 'Invalid Request: empty batch');
+  }
+
+  // Each message in a batch counts against the client's limit
+  const keyLimit = keyLimiter.take(client.name, messages.length, client.rateLimit ?? RATE_LIMIT_PER_KEY);
+  if (!keyLimit.allowed) {
+    return rateLimited(res, keyLimit, batch ? null : req.body?.id);
+  }
+
+  // initialize starts a session and must arrive on its own
+  if (messages.some(m => m?.method === 'initialize')) {
+    if (batch) {
+      return transportError(res, 400, -32600, 'Invalid Request: initialize cannot be batched');
+    }
+    if (req.body.id === undefined || req.body.id === null) {
+      return transportError(res, 400, -32600, 'Invalid Request: initialize must have an id');
+    }
+    const response = await handleMessage(req.body, { client });
+    if (response?.result) {
+      const session = createSession(response.result.protocolVersion, client.name);
+      session.notify = (method, params) => {
+        for (const stream of session.streams) writeEvent(stream, { jsonrpc: '2.0', method, params });
+      };
+      res.set('Mcp-Session-Id', session.id);
+      log.info('Session started', { session: session.id, protocolVersion: session.protocolVersion, client: client.name });
+    }
+    return res.json(response);
+  }
+
+  const session = requireSession(req, res, client);
+  if (!session) return;
+
+  const requests = messages.filter(m => m?.method !== undefined && m.id !== undefined);
+
+  // Only notifications or client responses: accepted, nothing to return
+  if (requests.length === 0) {
+    await Promise.all(messages.map(m => handleMessage(m, { session, client })));
+    return res.status(202).end();
+  }
+
+  // Stream over SSE when the client only takes events, or asked for progress
+  const wantsProgress = requests.some(m => m.params?._meta?.progressToken !== undefined);
+  const stream = acceptsEvents(req) && (!acceptsJson(req) || wantsProgress);
+
+  if (!stream) {
+    const responses = (await Promise.all(messages.map(m => handleMessage(m, { session, client })))).filter(Boolean);
+    return res.json(batch ? responses : responses[0]);
+  }
+
+  openEventStream(res);
+  const notify = (method, params) => writeEvent(res, { jsonrpc: '2.0', method, params });
+  await Promise.all(messages.map(async m => {
+    const response = await handleMessage(m, { session, client, notify });
+    if (response) writeEvent(res, response);
+  }));
+  res.end();
+});
+
+// Standalone SSE stream for server-initiated messages
+app.get('/mcp', (req, res) => {
+  const client = requireClient(req, res);
+  if (!client) return;
+  if (!acceptsEvents(req)) {
+    return res.status(405).set('Allow', 'POST, DELETE').json(errorResponse(null, -32000, 'Method Not Allowed: GET needs Accept: text/event-stream'));
+  }
+
+  const session = requireSession(req, res, client);
+  if (!session) return;
+
+  openEventStream(res);
+  session.streams.add(res);
+
+  // Comment lines keep proxies from timing out an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    session.streams.delete(res);
+  });
+});
+
+// End a session
+app.delete('/mcp', (req, res) => {
+  const client = requireClient(req, res);
+  if (!client) return;
+  const session = requireSession(req, res, client);
+  if (!session) return;
+
+  endSession(session.id);
+  log.info('Session ended', { session: session.id });
+  res.status(204).end();
+});
+
+// Malformed JSON bodies get a JSON-RPC parse error instead of an HTML page
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return transportError(res, 400, -32700, 'Parse error');
+  }
+  next(err);
+});
+
+// Listen on PORT
+export function startHttp() {
+  app.listen(PORT, '0.0.0.0', () => {
+    log.info('CFBD Basketball MCP Server listening', {
+      port: Number(PORT),
+      tools: toolCount(),
+      cfbdKey: Boolean(CFBD_BASKETBALL_KEY),
+      clientKeys: authEnabled(),
+      cache: cache.stats().file || 'memory'
+    });
+  });
+}
@@ -0,0 +1,43 @@
+// Structured logging: one JSON object per line with time, level, message and
+// the correlation id of the request being handled, if any. Warnings and
+// errors go to stderr; in stdio mode everything does (see server.js).
+import { AsyncLocalStorage } from 'node:async_hooks';
+import crypto from 'node:crypto';
+import { LOG_LEVEL } from './config.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[LOG_LEVEL] ?? LEVELS.info;
+
+const requestContext = new AsyncLocalStorage();
+
+// Correlation id from a caller-supplied header when it looks sane, else a new one
+export function requestIdFrom(header) {
+  return typeof header === 'string' && /^[\w.:-]{1,128}$/.test(header) ? header : crypto.randomUUID();
+}
+
+// Run fn with a correlation id that every log line inside it carries
+export function withRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  const entry = { time: new Date().toISOString(), level, msg: message, requestId: currentRequestId(), ...fields };
+  if (fields.error instanceof Error) entry.error = fields.error.message;
+  if (level === 'error' && fields.error instanceof Error) entry.stack = fields.error.stack;
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+export const log = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
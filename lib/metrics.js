@@ -0,0 +1,92 @@
+// Prometheus metrics in the text exposition format. Counters and histograms
+// are updated as things happen; gauges and cache figures are read through
+// collectors when /metrics is scraped.
+const metrics = [];
+const collectors = [];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label text, so label order must be consistent
+function seriesKey(names, labels) {
+  return labelText(Object.fromEntries(names.map(n => [n, labels[n] ?? ''])));
+}
+
+export function counter(name, help, labelNames = []) {
+  const series = new Map();
+  metrics.push({
+    name,
+    help,
+    type: 'counter',
+    lines: () => [...series].map(([key, value]) => `${name}${key} ${value}`)
+  });
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    }
+  };
+}
+
+export function histogram(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+  const series = new Map();
+  metrics.push({
+    name,
+    help,
+    type: 'histogram',
+    lines: () => [...series].flatMap(([, { labels, counts, sum, count }]) => [
+      ...buckets.map((le, i) => `${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`),
+      `${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${labelText(labels)} ${sum}`,
+      `${name}_count${labelText(labels)} ${count}`
+    ])
+  });
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        const own = Object.fromEntries(labelNames.map(n => [n, labels[n] ?? '']));
+        series.set(key, { labels: own, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+    }
+  };
+}
+
+// Register values read at scrape time: collect() returns
+// [{ name, help, type, value, labels? }]
+export function collect(fn) {
+  collectors.push(fn);
+}
+
+export function renderMetrics() {
+  const out = [];
+  for (const { name, help, type, lines } of metrics) {
+    const body = lines();
+    if (body.length === 0) continue;
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...body);
+  }
+  const seen = new Set();
+  for (const fn of collectors) {
+    for (const { name, help, type = 'gauge', value, labels = {} } of fn()) {
+      if (!seen.has(name)) {
+        seen.add(name);
+        out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      }
+      out.push(`${name}${labelText(labels)} ${value}`);
+    }
+  }
+  return `${out.join('\n')}\n`;
+}
+
+// Seconds elapsed since a process.hrtime.bigint() reading
+export function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
@@ -0,0 +1,126 @@
+import { cfbdGet } from './cfbd.js';
+import { ToolError } from './errors.js';
+import { foldText, similarity } from './fuzzy.js';
+import { log } from './logger.js';
+
+// Common short forms of first names, both directions
+const NICKNAMES = [
+  ['alex', 'alexander'], ['andy', 'andrew'], ['ben', 'benjamin'], ['bill', 'william'],
+  ['bob', 'robert'], ['bobby', 'robert'], ['cam', 'cameron'], ['chris', 'christopher'],
+  ['dan', 'daniel'], ['danny', 'daniel'], ['dave', 'david'], ['drew', 'andrew'],
+  ['ed', 'edward'], ['eli', 'elijah'], ['greg', 'gregory'], ['jake', 'jacob'],
+  ['jim', 'james'], ['jimmy', 'james'], ['joe', 'joseph'], ['jon', 'jonathan'],
+  ['josh', 'joshua'], ['kenny', 'kenneth'], ['matt', 'matthew'], ['max', 'maxwell'],
+  ['mike', 'michael'], ['mo', 'mohamed'], ['mo', 'mohammed'], ['nate', 'nathan'],
+  ['nick', 'nicholas'], ['pat', 'patrick'], ['rob', 'robert'], ['sam', 'samuel'],
+  ['steve', 'steven'], ['tom', 'thomas'], ['tony', 'anthony'], ['will', 'william'],
+  ['zach', 'zachary'], ['zeke', 'ezekiel']
+];
+
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v']);
+
+// Raised when a player query matches several players equally well
+export class PlayerLookupError extends ToolError {
+  constructor(message, suggestions = []) {
+    super(message);
+    this.name = 'PlayerLookupError';
+    this.suggestions = suggestions;
+  }
+}
+
+// "Ja'Quan O'Neal-Smith Jr." → ['jaquan', 'oneal', 'smith']
+function nameTokens(text) {
+  return foldText(text)
+    .replace(/['’.]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(t => t && !SUFFIXES.has(t));
+}
+
+function isNickname(a, b) {
+  return NICKNAMES.some(([short, full]) => (a === short && b === full) || (a === full && b === short));
+}
+
+// How well one name token is matched by any query token (0..1)
+function tokenScore(token, queryTokens, { first = false } = {}) {
+  let best = 0;
+  for (const q of queryTokens) {
+    if (q === token) return 1;
+    if (first && isNickname(q, token)) best = Math.max(best, 0.9);
+    if (first && q.length === 1 && token.startsWith(q)) best = Math.max(best, 0.5);
+    if (q.length >= 4 && token.length >= 4) {
+      const sim = similarity(q, token);
+      if (sim >= 0.8) best = Math.max(best, sim);
+    }
+  }
+  return best;
+}
+
+// Score a player name against a free-form query: last name carries most
+// weight, first name (or a nickname/initial of it) the rest.
+export function scorePlayer(query, name) {
+  const queryTokens = nameTokens(query);
+  const tokens = nameTokens(name);
+  if (queryTokens.length === 0 || tokens.length === 0) return 0;
+
+  if (queryTokens.join(' ') === tokens.join(' ')) return 1;
+
+  // Hyphenated or multi-part surnames match on any of their parts
+  const [first, ...rest] = tokens;
+  const lastParts = rest.length > 0 ? rest : [first];
+  const last = Math.max(...lastParts.map(t => tokenScore(t, queryTokens)));
+  const firstScore = rest.length > 0 ? tokenScore(first, queryTokens, { first: true }) : 0;
+
+  return 0.6 * last + 0.4 * firstScore;
+}
+
+// Rank candidates ({ name, ... }) for a query, best first
+export function rankPlayers(query, candidates, minScore = 0.4) {
+  return candidates
+    .map(candidate => ({ candidate, score: scorePlayer(query, candidate.name) }))
+    .filter(r => r.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Season stat lines and roster entries merged by name
+function mergeCandidates(stats, roster) {
+  const byName = new Map();
+  for (const line of stats) {
+    if (!line.name) continue;
+    byName.set(nameTokens(line.name).join(' '), { name: line.name, stats: line, roster: null });
+  }
+  for (const entry of roster) {
+    if (!entry.name) continue;
+    const key = nameTokens(entry.name).join(' ');
+    if (byName.has(key)) byName.get(key).roster = entry;
+    else byName.set(key, { name: entry.name, stats: null, roster: entry });
+  }
+  return [...byName.values()];
+}
+
+// Find one player on a team's roster or season stat sheet.
+// Resolves to { name, stats, roster } or null when nothing matches;
+// throws PlayerLookupError when the query is ambiguous.
+export async function lookupPlayer(query, { team, year, stats = [] }) {
+  let roster = [];
+  try {
+    const data = await cfbdGet('/teams/roster', { team, season: year });
+    roster = data?.find(r => r.season === year)?.players || [];
+  } catch (err) {
+    log.warn('Roster unavailable for player lookup', { team, error: err.message });
+  }
+
+  const ranked = rankPlayers(query, mergeCandidates(stats, roster));
+  if (ranked.length === 0) return null;
+
+  const [top, next] = ranked;
+  if (next && top.score - next.score < 0.15) {
+    const names = ranked.filter(r => top.score - r.score < 0.15).slice(0, 5).map(r => r.candidate.name);
+    throw new PlayerLookupError(
+      `"${query}" matches more than one player. Did you mean:\n${names.map(n => `• ${n}`).join('\n')}`,
+      names
+    );
+  }
+
+  log.debug('Matched player', { query, player: top.candidate.name, score: Number(top.score.toFixed(2)) });
+  return top.candidate;
+}
@@ -0,0 +1,136 @@
+import { cfbdGet } from './cfbd.js';
+
+const HALF = 20 * 60;
+const OVERTIME = 5 * 60;
+
+// Play-by-play for one game, in game order; live games use the short cache
+export async function fetchPlays(gameId, { live = false } = {}) {
+  const data = await cfbdGet(`/plays/game/${gameId}`, {}, { live });
+  return (data || [])
+    .map((play, index) => ({ ...play, index, elapsed: elapsedSeconds(play) }))
+    .sort((a, b) => a.elapsed - b.elapsed || a.index - b.index);
+}
+
+function periodLength(period) {
+  return period <= 2 ? HALF : OVERTIME;
+}
+
+function periodStart(period) {
+  return period <= 2 ? (period - 1) * HALF : 2 * HALF + (period - 3) * OVERTIME;
+}
+
+// Seconds left in the period, from "MM:SS" clock or secondsRemaining
+function secondsLeft(play) {
+  if (typeof play.clock === 'string' && /^\d+:\d{2}/.test(play.clock)) {
+    const [min, sec] = play.clock.split(':').map(Number);
+    return min * 60 + sec;
+  }
+  return play.secondsRemaining ?? 0;
+}
+
+export function elapsedSeconds(play) {
+  const period = play.period || 1;
+  return periodStart(period) + periodLength(period) - secondsLeft(play);
+}
+
+// "2H 4:12", "OT 0:45", "2OT 3:00"
+export function periodLabel(play) {
+  const left = secondsLeft(play);
+  const clock = `${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+  const period = play.period || 1;
+  const name = period <= 2 ? `${period}H` : period === 3 ? 'OT' : `${period - 2}OT`;
+  return `${name} ${clock}`;
+}
+
+// "86-79", away first; empty for plays without a score
+export function scoreLine(play) {
+  if (play.awayScore == null || play.homeScore == null) return '';
+  return `${play.awayScore}-${play.homeScore}`;
+}
+
+// Scoring plays with the points each one added, in game order
+export function scoringPlays(plays) {
+  const out = [];
+  let home = 0;
+  let away = 0;
+  for (const play of plays) {
+    if (play.homeScore == null || play.awayScore == null) continue;
+    const homeDelta = play.homeScore - home;
+    const awayDelta = play.awayScore - away;
+    if (homeDelta > 0 || awayDelta > 0) {
+      out.push({
+        play,
+        side: homeDelta > 0 ? 'home' : 'away',
+        points: homeDelta > 0 ? homeDelta : awayDelta,
+        home: play.homeScore,
+        away: play.awayScore
+      });
+    }
+    home = play.homeScore;
+    away = play.awayScore;
+  }
+  return out;
+}
+
+// Runs of unanswered points of at least minRun
+export function scoringRuns(scores, minRun = 8) {
+  const runs = [];
+  let current = null;
+  for (const s of scores) {
+    if (current && current.side === s.side) {
+      current.points += s.points;
+      current.end = s;
+    } else {
+      if (current && current.points >= minRun) runs.push(current);
+      current = { side: s.side, points: s.points, start: s, end: s };
+    }
+  }
+  if (current && current.points >= minRun) runs.push(current);
+  return runs;
+}
+
+// Lead changes, ties and the largest lead for each side
+export function leadSummary(scores) {
+  let leader = null;
+  let leadChanges = 0;
+  let timesTied = 0;
+  const largest = { home: { margin: 0, at: null }, away: { margin: 0, at: null } };
+
+  for (const s of scores) {
+    const margin = s.home - s.away;
+    if (margin === 0) {
+      timesTied++;
+      continue;
+    }
+    const side = margin > 0 ? 'home' : 'away';
+    if (leader && leader !== side) leadChanges++;
+    leader = side;
+    if (Math.abs(margin) > largest[side].margin) {
+      largest[side] = { margin: Math.abs(margin), at: s };
+    }
+  }
+
+  return { leadChanges, timesTied, largest };
+}
+
+// Plays in the final five minutes of regulation plus any overtime
+export function finalMinutes(plays, seconds = 5 * 60) {
+  const cutoff = 2 * HALF - seconds;
+  return plays.filter(p => p.elapsed >= cutoff && p.playText);
+}
+
+// Each player's scoring, with the time and running total of every basket
+export function playerTimelines(scores) {
+  const players = new Map();
+  for (const s of scores) {
+    const name = s.play.participants?.[0]?.name;
+    if (!name) continue;
+    if (!players.has(name)) {
+      players.set(name, { name, team: s.play.team, points: 0, events: [] });
+    }
+    const entry = players.get(name);
+    entry.points += s.points;
+    entry.events.push({ at: periodLabel(s.play), points: s.points, total: entry.points });
+  }
+  return [...players.values()].sort((a, b) => b.points - a.points);
+}
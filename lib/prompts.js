@@ -0,0 +1,161 @@
+// MCP prompts: canned analysis workflows that tell the model which tools to
+// call and how to lay out the answer. Team defaults to DEFAULT_TEAM.
+import { DEFAULT_TEAM } from './config.js';
+import { InvalidParamsError } from './validate.js';
+
+const teamArg = { name: 'team', description: `Team name (default: ${DEFAULT_TEAM})`, required: false };
+
+// Which game to look at, in the words the game tools understand
+function gameSelector({ opponent, date }) {
+  if (date && opponent) return `${date} game against ${opponent}`;
+  if (date) return `game on ${date}`;
+  if (opponent) return `most recent game against ${opponent}`;
+  return 'most recent game';
+}
+
+const PROMPTS = {
+  'game-recap': {
+    title: 'Game recap',
+    description: 'Recap one game: result, how it was won or lost, standout players and what it means',
+    arguments: [
+      teamArg,
+      { name: 'opponent', description: 'Opponent, to pick the latest meeting', required: false },
+      { name: 'date', description: 'Game date, YYYY-MM-DD', required: false }
+    ],
+    build({ team, opponent, date }) {
+      const game = gameSelector({ opponent, date });
+      const selector = [opponent && `opponent "${opponent}"`, date && `date "${date}"`].filter(Boolean).join(' and ');
+      const pick = selector ? ` with ${selector}` : '';
+      return `Write a game recap of ${team}'s ${game}.
+
+Gather the facts first:
+1. get_basketball_box_score for team "${team}"${pick} — final score, player lines and team totals.
+2. get_basketball_play_by_play for the same game — scoring runs, lead changes and the last five minutes.
+3. get_basketball_schedule for team "${team}" — the record after this game and what comes next.
+
+Then write:
+- A headline and a one-paragraph summary with the final score.
+- Turning point: the decisive run or stretch, with the game clock.
+- Standouts: two or three players with their stat lines, from either team.
+- By the numbers: three stats that explain the result (shooting, turnovers, rebounding).
+- What's next: the next opponent and date.
+
+Use only numbers the tools return; say so if a tool has no data for this game.`;
+    }
+  },
+
+  'scouting-report': {
+    title: 'Opponent scouting report',
+    description: 'Scout an upcoming opponent: style, strengths, key players and how the teams match up',
+    arguments: [
+      teamArg,
+      { name: 'opponent', description: 'Team to scout', required: true }
+    ],
+    build({ team, opponent }) {
+      return `Write a scouting report on ${opponent} for ${team}.
+
+Gather the facts first:
+1. get_basketball_team_stats for team "${opponent}" with detail "advanced" — pace, efficiency and the four factors.
+2. get_basketball_player_stats for team "${opponent}" — top scorers; add leaderboard "usage" to find who runs the offense.
+3. get_basketball_shooting_stats for team "${opponent}" — three-point threats.
+4. get_basketball_comparison with teams [{"team": "${team}"}, {"team": "${opponent}"}] — side-by-side numbers.
+5. get_basketball_head_to_head for team "${team}" and opponent "${opponent}" — series history and recent meetings.
+6. get_basketball_schedule for team "${opponent}" — recent form.
+
+Then write:
+- Snapshot: record, recent form and style of play (tempo, offense vs defense).
+- Key players: three or four, with role and numbers.
+- Strengths and weaknesses, backed by the four factors.
+- Matchup: where ${team} has the edge and where it doesn't.
+- Keys to the game: three specific, numbers-backed points.
+- History: series record and the last meeting.`;
+    }
+  },
+
+  'weekly-update': {
+    title: 'Weekly team update',
+    description: 'A week-in-review: results, rankings movement, standings, leaders and the week ahead',
+    arguments: [teamArg],
+    build({ team }) {
+      return `Write a weekly update for ${team} basketball.
+
+Gather the facts first:
+1. get_basketball_schedule for team "${team}" — results from the past seven days and the overall record.
+2. get_basketball_next_game for team "${team}" with count 3 — the week ahead.
+3. get_basketball_rankings for team "${team}" — the latest poll and this week's movement.
+4. get_basketball_standings for team "${team}" — conference position and games back.
+5. get_basketball_player_stats for team "${team}" — season scoring leaders.
+
+Then write:
+- This week: each game with its score and a one-line takeaway.
+- Rankings and standings: where ${team} stands and how that changed.
+- Player of the week: the best performer, with numbers (use get_basketball_box_score for the week's games if needed).
+- Looking ahead: upcoming games with dates, tip times and TV.
+
+Keep it under 400 words.`;
+    }
+  },
+
+  'player-spotlight': {
+    title: 'Player spotlight',
+    description: 'Profile one player: season production, efficiency, role and recent form',
+    arguments: [
+      teamArg,
+      { name: 'player', description: 'Player name', required: true }
+    ],
+    build({ team, player }) {
+      return `Write a player spotlight on ${player} of ${team}.
+
+Gather the facts first:
+1. get_basketball_player_stats for team "${team}" with query "${player}" — per-game numbers and advanced rates.
+2. get_basketball_shooting_stats for team "${team}" with query "${player}" — shooting splits.
+3. get_basketball_player_stats for team "${team}" with leaderboard "points" and then "usage" — where the player ranks on the team.
+4. get_basketball_roster for team "${team}" — position, jersey and height.
+
+Then write:
+- Who they are: position, size and role.
+- Season production: scoring, rebounding, playmaking.
+- Efficiency: true shooting, usage and turnover rate, in plain language.
+- Team context: rank among teammates in the key categories.
+- Bottom line: two sentences on impact.
+
+If the player isn't found, list close roster matches instead of guessing.`;
+    }
+  }
+};
+
+export function listPrompts() {
+  return Object.entries(PROMPTS).map(([name, { title, description, arguments: args }]) => ({
+    name,
+    title,
+    description,
+    arguments: args
+  }));
+}
+
+// Render a prompt with its arguments; InvalidParamsError for unknown names or missing arguments
+export function getPrompt(name, args) {
+  const prompt = Object.hasOwn(PROMPTS, name) ? PROMPTS[name] : null;
+  if (!prompt) {
+    throw new InvalidParamsError(`Invalid params: unknown prompt ${name}`, [{ field: 'name', message: 'is not a known prompt' }]);
+  }
+  // Arguments may be left out or null
+  args ??= {};
+  if (typeof args !== 'object' || Array.isArray(args)) {
+    throw new InvalidParamsError('Invalid params: arguments must be an object', [{ field: 'arguments', message: 'must be object' }]);
+  }
+
+  const missing = prompt.arguments.filter(a => a.required && !args[a.name]);
+  if (missing.length > 0) {
+    throw new InvalidParamsError(
+      `Invalid params: ${missing.map(a => a.name).join(', ')} required`,
+      missing.map(a => ({ field: `arguments.${a.name}`, message: 'is required' }))
+    );
+  }
+
+  const text = prompt.build({ ...args, team: args.team || DEFAULT_TEAM });
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text } }]
+  };
+}
@@ -0,0 +1,188 @@
+// MCP JSON-RPC message handling, independent of the transport.
+// handleMessage() answers one request, or returns null for a notification.
+// The transport passes a context: { session, client, notify(method, params) },
+// where client is the authenticated API client (absent over stdio) and notify
+// is only set when it can stream messages ahead of the response.
+import { InvalidParamsError } from './validate.js';
+import { listTools, getTool, callTool } from './registry.js';
+import { canUseTool, canUseResources } from './auth.js';
+import { log } from './logger.js';
+import {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  subscribe,
+  unsubscribe,
+  ResourceError
+} from './resources.js';
+import { listPrompts, getPrompt } from './prompts.js';
+
+// Newest first; the first entry is offered when a client asks for one we don't speak
+export const SUPPORTED_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+export const SERVER_INFO = { name: 'cfbd-basketball', version: '1.0.0' };
+
+// JSON-RPC error with a code, e.g. -32600 Invalid Request
+export class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+export function negotiateVersion(requested) {
+  return SUPPORTED_VERSIONS.includes(requested) ? requested : SUPPORTED_VERSIONS[0];
+}
+
+export function isNotification(message) {
+  return message?.id === undefined && typeof message?.method === 'string';
+}
+
+// A JSON-RPC response (result or error) rather than a request or notification
+export function isResponse(message) {
+  return message?.method === undefined && (message?.result !== undefined || message?.error !== undefined);
+}
+
+export function errorResponse(id, code, message, data) {
+  const error = data === undefined ? { code, message } : { code, message, data };
+  return { jsonrpc: '2.0', error, id: id ?? null };
+}
+
+function requireResources(client) {
+  if (!canUseResources(client)) {
+    throw new RpcError(-32003, `Forbidden: ${client.name} may not read resources`);
+  }
+}
+
+function requireUri(params) {
+  if (typeof params?.uri !== 'string') {
+    throw new InvalidParamsError('Invalid params: uri is required', [{ field: 'uri', message: 'is required' }]);
+  }
+  return params.uri;
+}
+
+const methods = {
+  initialize(params) {
+    return {
+      protocolVersion: negotiateVersion(params?.protocolVersion),
+      capabilities: { tools: {}, resources: { subscribe: true }, prompts: {} },
+      serverInfo: SERVER_INFO
+    };
+  },
+
+  ping() {
+    return {};
+  },
+
+  'tools/list'(params, { client }) {
+    return { tools: listTools().filter(tool => canUseTool(client, tool.name)) };
+  },
+
+  // Clients scoped without resources see none
+  'resources/list'(params, { client }) {
+    return { resources: canUseResources(client) ? listResources() : [] };
+  },
+
+  'resources/templates/list'(params, { client }) {
+    return { resourceTemplates: canUseResources(client) ? listResourceTemplates() : [] };
+  },
+
+  'resources/read'(params, { client }) {
+    requireResources(client);
+    return readResource(requireUri(params));
+  },
+
+  // Subscriptions need a session to notify; stateless calls can't hold one
+  async 'resources/subscribe'(params, { session, client }) {
+    requireResources(client);
+    if (!session?.notify) throw new RpcError(-32600, 'Subscriptions need a session');
+    await subscribe(session, requireUri(params));
+    return {};
+  },
+
+  'resources/unsubscribe'(params, { session }) {
+    if (session) unsubscribe(session, requireUri(params));
+    return {};
+  },
+
+  'prompts/list'() {
+    return { prompts: listPrompts() };
+  },
+
+  'prompts/get'(params) {
+    return getPrompt(params?.name, params?.arguments);
+  },
+
+  async 'tools/call'(params, { client, notify }) {
+    if (typeof params?.name !== 'string') {
+      throw new InvalidParamsError('Invalid params: tool name is required', [
+        { field: 'name', message: 'is required' }
+      ]);
+    }
+
+    const { name, arguments: args } = params;
+
+    if (!getTool(name)) {
+      throw new RpcError(-32601, `Unknown tool: ${name}`);
+    }
+    if (!canUseTool(client, name)) {
+      throw new RpcError(-32003, `Forbidden: ${client.name} may not call ${name}`);
+    }
+
+    // Clients that sent a progress token hear when the call starts and ends
+    const progressToken = params._meta?.progressToken;
+    const progress = (progress, message) => {
+      if (progressToken !== undefined && notify) {
+        notify('notifications/progress', { progressToken, progress, total: 1, message });
+      }
+    };
+    progress(0, `Running ${name}`);
+    const result = await callTool(name, args);
+    progress(1, `Finished ${name}`);
+    return result;
+  }
+};
+
+// Notifications we understand; anything else is ignored, as the spec requires
+const notifications = {
+  'notifications/initialized': (params, { session }) => {
+    if (session) session.initialized = true;
+  },
+  'notifications/cancelled': params => log.info('Client cancelled request', { rpcId: params?.requestId })
+};
+
+// Handle one JSON-RPC message. Resolves to the response object, or null
+// when the message is a notification (or a client response) needing none.
+export async function handleMessage(message, context = {}) {
+  if (isResponse(message)) return null;
+
+  if (message?.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return errorResponse(message?.id, -32600, 'Invalid Request');
+  }
+
+  const { method, params, id } = message;
+  log.debug('MCP message', { method, rpcId: id });
+
+  if (isNotification(message)) {
+    if (Object.hasOwn(notifications, method)) notifications[method](params, context);
+    return null;
+  }
+
+  const handler = Object.hasOwn(methods, method) ? methods[method] : null;
+  if (!handler) {
+    return errorResponse(id, -32601, `Unknown method: ${method}`);
+  }
+
+  try {
+    return { jsonrpc: '2.0', result: await handler(params, context), id };
+  } catch (error) {
+    if (error instanceof InvalidParamsError || error instanceof RpcError || error instanceof ResourceError) {
+      log.warn('MCP request rejected', { method, code: error.code, error: error.message });
+      return errorResponse(id, error.code, error.message, error.data);
+    }
+    log.error('MCP request failed', { method, error });
+    return errorResponse(id, -32603, error.message);
+  }
+}
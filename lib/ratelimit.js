@@ -0,0 +1,33 @@
+// Token-bucket rate limiting: each id gets `limit` requests per window,
+// refilled continuously, so short bursts are fine but a steady flood is not.
+export function createRateLimiter({ limit, windowSeconds = 60 }) {
+  const buckets = new Map();
+  const windowMs = windowSeconds * 1000;
+
+  // Spend `cost` tokens for id. `max` overrides the limit (per-client limits).
+  // Returns { allowed, remaining, retryAfter (seconds) }.
+  function take(id, cost = 1, max = limit) {
+    const now = Date.now();
+    const rate = max / windowMs;
+    const bucket = buckets.get(id) || { tokens: max, updated: now };
+    bucket.tokens = Math.min(max, bucket.tokens + (now - bucket.updated) * rate);
+    bucket.updated = now;
+    buckets.set(id, bucket);
+
+    if (bucket.tokens < cost) {
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil((cost - bucket.tokens) / rate / 1000) };
+    }
+    bucket.tokens -= cost;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+  }
+
+  // Buckets untouched for a full window have refilled; forget them
+  setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    for (const [id, bucket] of buckets) {
+      if (bucket.updated < cutoff) buckets.delete(id);
+    }
+  }, windowMs).unref();
+
+  return { take };
+}
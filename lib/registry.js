@@ -0,0 +1,179 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { trackStale, UpstreamError } from './cfbd.js';
+import { TIME_ZONE } from './config.js';
+import { ToolError } from './errors.js';
+import { seasonLabel } from './format.js';
+import { log } from './logger.js';
+import { counter, histogram, secondsSince } from './metrics.js';
+import { validateArgs } from './validate.js';
+
+const TOOLS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'tools');
+
+const tools = new Map();
+
+// Every tool accepts `format`; handlers never see it
+export const formatProperty = {
+  type: 'string',
+  enum: ['both', 'text', 'json'],
+  default: 'both',
+  description: 'Result format: readable text, structured JSON, or both (default)'
+};
+
+// Plain-text results (empty data, not-found notes) become { message }
+const messageProperty = { type: 'string', description: 'Explanation when there is no data to return' };
+
+// Set when CFBD was unreachable and cached data was served instead
+const asOfProperty = {
+  type: 'string',
+  format: 'date-time',
+  description: 'When the data was fetched, if CFBD was unavailable and older cached data was used'
+};
+
+// A tool whose year may be a season range; see runHandler()
+const takesSeasonRange = inputSchema => inputSchema.properties?.year?.format === 'season-range';
+
+// Register one tool: { name, description, inputSchema, outputSchema, handler(args) }.
+// Handlers return text, or { text, data } where data matches outputSchema.
+export function registerTool(tool) {
+  if (!tool?.name || typeof tool.handler !== 'function') {
+    throw new Error(`Invalid tool definition: ${tool?.name || 'unnamed'}`);
+  }
+  if (tools.has(tool.name)) {
+    throw new Error(`Duplicate tool name: ${tool.name}`);
+  }
+  const inputSchema = tool.inputSchema || { type: 'object' };
+  const outputSchema = tool.outputSchema || { type: 'object' };
+  const seasons = takesSeasonRange(inputSchema) && {
+    type: 'array',
+    items: { ...outputSchema, properties: { ...outputSchema.properties, message: messageProperty } },
+    description: 'One result per season, oldest first, when year was a range'
+  };
+  tools.set(tool.name, {
+    ...tool,
+    inputSchema: { ...inputSchema, properties: { ...inputSchema.properties, format: formatProperty } },
+    outputSchema: {
+      ...outputSchema,
+      properties: { ...outputSchema.properties, message: messageProperty, asOf: asOfProperty, ...(seasons && { seasons }) }
+    }
+  });
+}
+
+// Import every module in tools/ and register its default export
+export async function loadTools(dir = TOOLS_DIR) {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(dir, file)).href);
+    registerTool(mod.default);
+  }
+  return tools.size;
+}
+
+export function getTool(name) {
+  return tools.get(name);
+}
+
+export function toolCount() {
+  return tools.size;
+}
+
+// Tool definitions as returned by tools/list
+export function listTools() {
+  return [...tools.values()].map(({ name, description, inputSchema, outputSchema }) => ({
+    name,
+    description,
+    inputSchema,
+    outputSchema
+  }));
+}
+
+// Handler output as { text, data }
+const normalize = output => (typeof output === 'string' ? { text: output, data: { message: output } } : output);
+
+// Validation turns a season range into an array of years; the handler runs
+// once per season and the results are listed together as { seasons }. A
+// season that turns up nothing (a game that isn't on that schedule, say) is
+// listed with its message rather than failing the rest; CFBD failures still do.
+async function runHandler(tool, input) {
+  if (!Array.isArray(input.year)) return tool.handler(input);
+  const runSeason = async year => {
+    try {
+      return normalize(await tool.handler({ ...input, year }));
+    } catch (err) {
+      if (!(err instanceof ToolError) || err instanceof UpstreamError) throw err;
+      const message = `${seasonLabel(year)}: ${err.message}`;
+      return { text: message, data: { season: year, message } };
+    }
+  };
+  const outputs = await Promise.all(input.year.map(runSeason));
+  return {
+    text: outputs.map(o => o.text).join('\n\n'),
+    data: { seasons: outputs.map(o => o.data) }
+  };
+}
+
+// Flag output built from stale cached data with when it was fetched
+function markStale(output, asOf) {
+  const { text, data } = normalize(output);
+  const when = asOf.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: TIME_ZONE });
+  return {
+    text: `⚠️ CFBD is unavailable; showing cached data as of ${when}\n\n${text}`,
+    data: { ...data, asOf: asOf.toISOString() }
+  };
+}
+
+// MCP result for one handler output in the requested format.
+// JSON-only mode puts the serialized data in the text block as well, for
+// clients that don't read structuredContent.
+function toResult(output, format) {
+  const { text, data } = normalize(output);
+  if (format === 'text') return { content: [{ type: 'text', text }] };
+  return {
+    content: [{ type: 'text', text: format === 'json' ? JSON.stringify(data, null, 2) : text }],
+    structuredContent: data
+  };
+}
+
+const toolCalls = counter('mcp_tool_calls_total', 'Tool calls by tool and outcome (ok, stale, invalid_params, tool_error, upstream_error)', ['tool', 'outcome']);
+const toolDuration = histogram('mcp_tool_call_duration_seconds', 'Tool call latency', ['tool']);
+
+// Run a tool and wrap its output as an MCP tool result.
+// Arguments are validated first (throwing InvalidParamsError). A ToolError
+// is an answer like any other ({ message }, in the requested format), with
+// isError set when CFBD itself failed; anything else is an isError result.
+export async function callTool(name, args = {}) {
+  const tool = tools.get(name);
+  const start = process.hrtime.bigint();
+  const finish = outcome => {
+    const seconds = secondsSince(start);
+    toolCalls.inc({ tool: name, outcome });
+    toolDuration.observe({ tool: name }, seconds);
+    log.info('Tool call finished', { tool: name, outcome, durationMs: Math.round(seconds * 1000) });
+  };
+  log.info('Tool call', { tool: name, args });
+
+  let format, input;
+  try {
+    ({ format, ...input } = validateArgs(tool.inputSchema, args));
+  } catch (err) {
+    finish('invalid_params');
+    throw err;
+  }
+
+  try {
+    const { value, asOf } = await trackStale(() => runHandler(tool, input));
+    const result = toResult(asOf ? markStale(value, asOf) : value, format);
+    finish(asOf ? 'stale' : 'ok');
+    return result;
+  } catch (err) {
+    const upstream = err instanceof UpstreamError;
+    log[err instanceof ToolError ? 'warn' : 'error']('Tool failed', { tool: name, error: err });
+    const result = err instanceof ToolError
+      ? toResult(err.message, format)
+      : { content: [{ type: 'text', text: `Error: ${err.message}` }] };
+    if (upstream || !(err instanceof ToolError)) result.isError = true;
+    finish(upstream ? 'upstream_error' : 'tool_error');
+    return result;
+  }
+}
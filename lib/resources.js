@@ -0,0 +1,164 @@
+// MCP resources: season reference data (rosters, schedules, stat sheets)
+// addressed as cbb://team/{team}/{season}/{sheet}, with change
+// subscriptions that poll the data and notify subscribed sessions.
+import crypto from 'node:crypto';
+import { cfbdGet } from './cfbd.js';
+import { DEFAULT_TEAM, RESOURCE_POLL_INTERVAL } from './config.js';
+import { fetchSeasonGames, gameData } from './games.js';
+import { log } from './logger.js';
+import { currentSeason } from './seasons.js';
+import { playerLine, teamLine, advancedTeam } from './stats.js';
+import { resolveTeamName, TeamLookupError } from './teams.js';
+
+// Resource not found, per the MCP spec
+export const RESOURCE_NOT_FOUND = -32002;
+
+export class ResourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResourceError';
+    this.code = RESOURCE_NOT_FOUND;
+  }
+}
+
+const SHEETS = {
+  roster: {
+    title: 'Roster',
+    description: 'Season roster: name, position, jersey, height (inches) and weight',
+    async read(team, season) {
+      const data = await cfbdGet('/teams/roster', { team, season });
+      const roster = (data || []).find(r => r.season === season);
+      const players = (roster?.players || []).map(p => ({
+        name: p.name,
+        position: p.position ?? null,
+        jersey: p.jersey ?? null,
+        height: p.height ?? null,
+        weight: p.weight ?? null
+      }));
+      return { team, season, players };
+    }
+  },
+  schedule: {
+    title: 'Schedule',
+    description: 'Full season schedule with results, venues and TV',
+    async read(team, season) {
+      const games = await fetchSeasonGames(team, season);
+      return { team, season, games: games.map(g => gameData(g, team)) };
+    }
+  },
+  stats: {
+    title: 'Team stat sheet',
+    description: 'Season team stats: per-game, shooting, tempo-free efficiency and four factors',
+    async read(team, season) {
+      const data = await cfbdGet('/stats/team/season', { team, season });
+      const row = (data || []).find(t => t.season === season);
+      return { team, season, stats: row ? teamLine(row) : null, advanced: row ? advancedTeam(row) : null };
+    }
+  },
+  players: {
+    title: 'Player stat sheet',
+    description: 'Season per-game and shooting stats for every player',
+    async read(team, season) {
+      const data = await cfbdGet('/stats/player/season', { team, season });
+      const players = (data || []).filter(p => p.season === season).map(p => ({ name: p.name, ...playerLine(p) }));
+      return { team, season, players };
+    }
+  }
+};
+
+const URI_PATTERN = /^cbb:\/\/team\/([^/]+)\/(\d{4})\/([a-z]+)$/;
+
+const teamSlug = team => encodeURIComponent(team.toLowerCase());
+
+export function resourceUri(team, season, sheet) {
+  return `cbb://team/${teamSlug(team)}/${season}/${sheet}`;
+}
+
+export function listResourceTemplates() {
+  return Object.entries(SHEETS).map(([sheet, { title, description }]) => ({
+    uriTemplate: `cbb://team/{team}/{season}/${sheet}`,
+    name: `team-${sheet}`,
+    title,
+    description: `${description}. {team} is a team name, e.g. "oklahoma"; {season} a year, e.g. ${currentSeason()}.`,
+    mimeType: 'application/json'
+  }));
+}
+
+// Concrete resources for the default team's current season
+export function listResources() {
+  const season = currentSeason();
+  return Object.entries(SHEETS).map(([sheet, { title, description }]) => ({
+    uri: resourceUri(DEFAULT_TEAM, season, sheet),
+    name: `${teamSlug(DEFAULT_TEAM)}-${season}-${sheet}`,
+    title: `${DEFAULT_TEAM} ${title} (${season})`,
+    description,
+    mimeType: 'application/json'
+  }));
+}
+
+// Resolve a cbb:// URI to { team, season, sheet }, or throw ResourceError
+async function parseUri(uri) {
+  const match = URI_PATTERN.exec(String(uri));
+  if (!match || !SHEETS[match[3]]) {
+    throw new ResourceError(`Resource not found: ${uri}`);
+  }
+  try {
+    const team = await resolveTeamName(decodeURIComponent(match[1]));
+    return { team, season: Number(match[2]), sheet: match[3] };
+  } catch (err) {
+    if (err instanceof TeamLookupError) throw new ResourceError(`Resource not found: ${uri} (${err.message})`);
+    throw err;
+  }
+}
+
+export async function readResource(uri) {
+  const { team, season, sheet } = await parseUri(uri);
+  const data = await SHEETS[sheet].read(team, season);
+  return {
+    contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }]
+  };
+}
+
+// Subscriptions: uri → { sessions, hash of the last content seen }
+const subscriptions = new Map();
+
+const hashOf = result => crypto.createHash('sha1').update(result.contents[0].text).digest('hex');
+
+export async function subscribe(session, uri) {
+  const result = await readResource(uri);
+  if (!subscriptions.has(uri)) {
+    subscriptions.set(uri, { sessions: new Set(), hash: hashOf(result) });
+  }
+  subscriptions.get(uri).sessions.add(session);
+}
+
+export function unsubscribe(session, uri) {
+  const entry = subscriptions.get(uri);
+  if (!entry) return;
+  entry.sessions.delete(session);
+  if (entry.sessions.size === 0) subscriptions.delete(uri);
+}
+
+// Forget every subscription a closed session held
+export function unsubscribeAll(session) {
+  for (const uri of [...subscriptions.keys()]) unsubscribe(session, uri);
+}
+
+// Re-read subscribed resources; sessions hear notifications/resources/updated on change
+async function pollSubscriptions() {
+  for (const [uri, entry] of subscriptions) {
+    try {
+      const hash = hashOf(await readResource(uri));
+      if (hash === entry.hash) continue;
+      entry.hash = hash;
+      log.info('Resource updated', { uri, sessions: entry.sessions.size });
+      for (const session of entry.sessions) {
+        session.notify?.('notifications/resources/updated', { uri });
+      }
+    } catch (err) {
+      log.warn('Resource poll failed', { uri, error: err.message });
+    }
+  }
+}
+
+setInterval(pollSubscriptions, RESOURCE_POLL_INTERVAL * 1000).unref();
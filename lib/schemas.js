@@ -0,0 +1,118 @@
+// JSON Schema fragments for tool outputSchemas (the structuredContent shapes).
+// Stats are null when CFBD doesn't report them.
+
+export const nullable = type => ({ type: [type, 'null'] });
+export const arrayOf = items => ({ type: 'array', items });
+export const orNull = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+export function objectOf(properties, required) {
+  return required ? { type: 'object', properties, required } : { type: 'object', properties };
+}
+
+const num = nullable('number');
+const str = nullable('string');
+
+export const seasonProperties = {
+  team: { type: 'string' },
+  season: { type: 'integer' }
+};
+
+// One game, plus the requested team's side of it when there is one
+export const gameSchema = objectOf({
+  id: { type: 'integer' },
+  startDate: { type: 'string' },
+  status: { type: 'string', enum: ['scheduled', 'live', 'final', 'postponed', 'canceled'] },
+  homeTeam: { type: 'string' },
+  awayTeam: { type: 'string' },
+  homePoints: num,
+  awayPoints: num,
+  neutralSite: { type: 'boolean' },
+  conferenceGame: { type: 'boolean' },
+  venue: str,
+  tv: str,
+  opponent: { type: 'string' },
+  location: { type: 'string', enum: ['home', 'away', 'neutral'] },
+  teamScore: num,
+  oppScore: num,
+  result: { type: ['string', 'null'], enum: ['W', 'L', null] }
+}, ['id', 'startDate', 'status', 'homeTeam', 'awayTeam']);
+
+// Per-game and rate stats from playerLine(), named
+export const playerLineSchema = objectOf({
+  name: { type: 'string' },
+  games: num,
+  minutes: num,
+  points: num,
+  rebounds: num,
+  assists: num,
+  steals: num,
+  blocks: num,
+  turnovers: num,
+  fgPct: num,
+  threePct: num,
+  ftPct: num,
+  efgPct: num,
+  tsPct: num,
+  astTo: num,
+  usage: num
+}, ['name']);
+
+// Season rates from advancedPlayer()
+export const advancedPlayerSchema = objectOf({
+  minutes: num,
+  tsPct: num,
+  efgPct: num,
+  tovPct: num,
+  usage: num,
+  astPct: num,
+  orbPct: num,
+  drbPct: num,
+  trbPct: num,
+  rating: num,
+  pts40: num,
+  reb40: num,
+  ast40: num,
+  stl40: num,
+  blk40: num,
+  offRtg: num,
+  defRtg: num,
+  netRtg: num
+});
+
+// Per-game and shooting stats from teamLine()
+export const teamLineSchema = objectOf({
+  games: num,
+  wins: num,
+  losses: num,
+  points: num,
+  oppPoints: num,
+  rebounds: num,
+  assists: num,
+  steals: num,
+  blocks: num,
+  turnovers: num,
+  fgPct: num,
+  threePct: num,
+  ftPct: num,
+  efgPct: num,
+  tsPct: num,
+  astTo: num
+});
+
+const factorsSchema = objectOf({ efgPct: num, tovPct: num, orbPct: num, ftRate: num });
+
+// Tempo-free profile from advancedTeam()
+export const advancedTeamSchema = objectOf({
+  possessions: num,
+  pace: num,
+  offRtg: num,
+  defRtg: num,
+  netRtg: num,
+  tsPct: num,
+  oppTsPct: num,
+  offense: factorsSchema,
+  defense: factorsSchema
+});
+
+// Made/attempted/percentage for one shot type
+export const shootingSchema = objectOf({ made: num, attempted: num, pct: num });
@@ -0,0 +1,64 @@
+import { TIME_ZONE } from './config.js';
+
+// CFBD names a season by the year it ends in (2026 is 2025-26). A new season
+// tips off in November, so from November 1 the coming season is current;
+// until then it's the one that finished in the spring.
+export function currentSeason(now = new Date(), timeZone = TIME_ZONE) {
+  const [year, month] = now.toLocaleDateString('en-CA', { timeZone }).split('-').map(Number);
+  return month >= 11 ? year + 1 : year;
+}
+
+// Most seasons one call may span
+export const MAX_SEASON_SPAN = 10;
+
+// Earliest season CFBD has basketball data for
+export const FIRST_SEASON = 2003;
+
+const RELATIVE = { this: 0, current: 0, last: -1, previous: -1, next: 1 };
+
+// One season: 2025, "2025", "2024-25", "2024-2025", "this season", "last year"
+function parseOne(text, now) {
+  const match = /^(\d{4})(?:\s*[-–/]\s*(\d{2}|\d{4}))?$/.exec(text);
+  if (match) {
+    const start = Number(match[1]);
+    if (!match[2]) return start;
+    const end = match[2].length === 2 ? Math.floor((start + 1) / 100) * 100 + Number(match[2]) : Number(match[2]);
+    return end === start + 1 ? end : null;
+  }
+  const relative = /^(this|current|last|previous|next) (?:season|year)$/.exec(text);
+  if (relative) return currentSeason(now) + RELATIVE[relative[1]];
+  return text === 'current' ? currentSeason(now) : null;
+}
+
+// Parse a season argument into the first and last season years it covers,
+// { from, to }, or null if it isn't one. Besides single seasons this takes
+// ranges: "2022 to 2025", "2021-22 through 2024-25", "2022..2025",
+// "last 3 seasons", and a hyphen between years that aren't consecutive
+// ("2021-2025"). Ranges can be any length; callers check the span.
+export function parseSeasonRange(value, now = new Date()) {
+  if (Number.isInteger(value)) return { from: value, to: value };
+  const text = String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+  let from, to;
+  const lastN = /^(?:last|past) (\d+) (?:seasons|years)$/.exec(text);
+  const span = /^(\d{4}) ?[-–] ?(\d{4})$/.exec(text);
+  const parts = text.split(/ (?:to|through|thru) | ?\.\. ?/);
+  if (lastN) {
+    to = currentSeason(now);
+    from = to - Number(lastN[1]) + 1;
+  } else if (span && Number(span[2]) !== Number(span[1]) + 1) {
+    [from, to] = [Number(span[1]), Number(span[2])];
+  } else if (parts.length === 2) {
+    [from, to] = parts.map(part => parseOne(part, now));
+  } else {
+    from = to = parseOne(text, now);
+  }
+
+  if (from == null || to == null || from > to) return null;
+  return { from, to };
+}
+
+// Every season year in a parsed range, oldest first
+export function seasonYears({ from, to }) {
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
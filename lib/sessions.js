@@ -0,0 +1,57 @@
+import crypto from 'node:crypto';
+import { SESSION_TTL } from './config.js';
+import { unsubscribeAll } from './resources.js';
+
+// MCP sessions for the HTTP transport, keyed by Mcp-Session-Id.
+// Each holds the negotiated protocol version and any open SSE streams;
+// the transport sets notify() to push messages down those streams.
+const sessions = new Map();
+
+// client is the name of the API client that opened it; only it may use the session
+export function createSession(protocolVersion, client) {
+  const session = {
+    id: crypto.randomUUID(),
+    protocolVersion,
+    client,
+    initialized: false,
+    streams: new Set(),
+    notify: null,
+    lastSeen: Date.now()
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+// The live session for an id, refreshing its idle timer; undefined if unknown or expired
+export function getSession(id) {
+  const session = sessions.get(id);
+  if (!session) return undefined;
+  if (Date.now() - session.lastSeen > SESSION_TTL * 1000) {
+    endSession(id);
+    return undefined;
+  }
+  session.lastSeen = Date.now();
+  return session;
+}
+
+// Close a session and any SSE streams it has open
+export function endSession(id) {
+  const session = sessions.get(id);
+  if (!session) return false;
+  for (const stream of session.streams) stream.end();
+  unsubscribeAll(session);
+  sessions.delete(id);
+  return true;
+}
+
+export function sessionCount() {
+  return sessions.size;
+}
+
+// Drop idle sessions so abandoned clients don't accumulate
+setInterval(() => {
+  const cutoff = Date.now() - SESSION_TTL * 1000;
+  for (const [id, session] of sessions) {
+    if (session.lastSeen < cutoff && session.streams.size === 0) endSession(id);
+  }
+}, 60 * 1000).unref();
@@ -0,0 +1,81 @@
+import { cfbdGet } from './cfbd.js';
+import { sameTeam } from './teams.js';
+
+// Conference-only season lines, built by summing CFBD per-game box scores
+// over conference games. The results have the same shape as the
+// /stats/team/season and /stats/player/season rows, so tools render them as-is.
+
+export function isConferenceGame(row) {
+  if (row.conferenceGame != null) return Boolean(row.conferenceGame);
+  return Boolean(row.conference) && row.conference === row.opponentConference;
+}
+
+// Per-game rates (usage, ratings, percentages) can't be summed; they're dropped
+const RATE_KEY = /pct|rate|rating|ratio|usage|score$|factors|trueShooting/i;
+
+// Add every countable numeric field of `line` into `into`, recursing into objects
+function addInto(into, line) {
+  for (const [key, value] of Object.entries(line || {})) {
+    if (RATE_KEY.test(key)) continue;
+    if (typeof value === 'number') {
+      into[key] = (into[key] || 0) + value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      into[key] = addInto(into[key] || {}, value);
+    }
+  }
+  return into;
+}
+
+// Recompute shooting percentages after summing (scale 1 for teams, 100 for players)
+function withPercentages(line, scale) {
+  for (const key of ['fieldGoals', 'twoPointFieldGoals', 'threePointFieldGoals', 'freeThrows']) {
+    const split = line[key];
+    if (split) split.pct = split.attempted ? (split.made / split.attempted) * scale : null;
+  }
+  return line;
+}
+
+async function conferenceRows(endpoint, team, year) {
+  const data = await cfbdGet(endpoint, { team, season: year });
+  return (data || []).filter(row => row.season === year && sameTeam(row.team, team) && isConferenceGame(row));
+}
+
+// One team's conference-game totals as a season line
+export async function conferenceTeamLine(team, year) {
+  const rows = await conferenceRows('/games/teams', team, year);
+  if (rows.length === 0) return null;
+
+  const line = { season: year, team, games: rows.length, wins: 0, losses: 0, teamStats: {}, opponentStats: {} };
+  for (const row of rows) {
+    addInto(line.teamStats, row.teamStats);
+    addInto(line.opponentStats, row.opponentStats);
+    const pts = row.teamStats?.points?.total ?? row.teamStats?.points;
+    const oppPts = row.opponentStats?.points?.total ?? row.opponentStats?.points;
+    if (pts != null && oppPts != null) {
+      if (pts > oppPts) line.wins++;
+      else line.losses++;
+    }
+  }
+  withPercentages(line.teamStats, 1);
+  withPercentages(line.opponentStats, 1);
+  return line;
+}
+
+// Each player's conference-game totals as season lines
+export async function conferencePlayerLines(team, year) {
+  const rows = await conferenceRows('/games/players', team, year);
+  const players = new Map();
+  for (const row of rows) {
+    for (const p of row.players || []) {
+      const key = p.athleteId ?? p.name;
+      if (!players.has(key)) {
+        players.set(key, { season: year, team, athleteId: p.athleteId, name: p.name, position: p.position, games: 0 });
+      }
+      const line = players.get(key);
+      if ((p.minutes || 0) > 0) line.games++;
+      const { athleteId, athleteSourceId, name, position, starter, ejected, ...stats } = p;
+      addInto(line, stats);
+    }
+  }
+  return [...players.values()].map(line => withPercentages(line, 100));
+}
@@ -0,0 +1,216 @@
+// Stat-line normalization shared by the player, team and comparison tools.
+// Per-game values divide by games played, falling back to 1 like the
+// original player tool so a zero never divides.
+
+// CFBD reports some counting stats as { total, ... } objects
+export function total(value) {
+  if (value == null) return null;
+  return typeof value === 'object' ? value.total ?? null : value;
+}
+
+export function perGame(value, games) {
+  const n = total(value);
+  return n == null ? null : n / (games || 1);
+}
+
+// Percentage 0-100 from makes and attempts
+export function pct(made, attempted) {
+  return attempted ? (made / attempted) * 100 : null;
+}
+
+export function trueShooting(points, fga, fta) {
+  if (points == null) return null;
+  const denom = 2 * ((fga || 0) + 0.44 * (fta || 0));
+  return denom ? (points / denom) * 100 : null;
+}
+
+export function effectiveFg(fgm, threesMade, fga) {
+  return fga ? ((fgm + 0.5 * (threesMade || 0)) / fga) * 100 : null;
+}
+
+function ratio(a, b) {
+  return b ? a / b : null;
+}
+
+// Per-game, shooting and rate stats for one CFBD player season line
+export function playerLine(p) {
+  const games = p.games || 1;
+  const fg = p.fieldGoals || {};
+  const three = p.threePointFieldGoals || {};
+  const ft = p.freeThrows || {};
+  return {
+    games: p.games ?? null,
+    minutes: perGame(p.minutes, games),
+    points: perGame(p.points, games),
+    rebounds: perGame(p.rebounds, games),
+    assists: perGame(p.assists, games),
+    steals: perGame(p.steals, games),
+    blocks: perGame(p.blocks, games),
+    turnovers: perGame(p.turnovers, games),
+    fgPct: pct(fg.made, fg.attempted),
+    threePct: pct(three.made, three.attempted),
+    ftPct: pct(ft.made, ft.attempted),
+    efgPct: effectiveFg(fg.made, three.made, fg.attempted),
+    tsPct: trueShooting(total(p.points), fg.attempted, ft.attempted),
+    astTo: ratio(total(p.assists), total(p.turnovers)),
+    usage: p.usage ?? null
+  };
+}
+
+// Per-game, shooting and rate stats for one CFBD team season line
+export function teamLine(t) {
+  const games = t.games || 1;
+  const s = t.teamStats || {};
+  const o = t.opponentStats || {};
+  const fg = s.fieldGoals || {};
+  const three = s.threePointFieldGoals || {};
+  const ft = s.freeThrows || {};
+  const points = total(s.points);
+  return {
+    games: t.games ?? null,
+    wins: t.wins ?? null,
+    losses: t.losses ?? null,
+    points: perGame(points, games),
+    oppPoints: perGame(o.points, games),
+    rebounds: perGame(s.rebounds, games),
+    assists: perGame(s.assists, games),
+    steals: perGame(s.steals, games),
+    blocks: perGame(s.blocks, games),
+    turnovers: perGame(s.turnovers, games),
+    fgPct: pct(fg.made, fg.attempted),
+    threePct: pct(three.made, three.attempted),
+    ftPct: pct(ft.made, ft.attempted),
+    efgPct: effectiveFg(fg.made, three.made, fg.attempted),
+    tsPct: trueShooting(points, fg.attempted, ft.attempted),
+    astTo: ratio(total(s.assists), total(s.turnovers))
+  };
+}
+
+// Possessions: CFBD's count when present, else the standard estimate
+export function possessions(side) {
+  if (side.possessions) return side.possessions;
+  const fga = side.fieldGoals?.attempted || 0;
+  const fta = side.freeThrows?.attempted || 0;
+  const orb = side.rebounds?.offensive || 0;
+  return fga - orb + (total(side.turnovers) || 0) + 0.475 * fta;
+}
+
+// Dean Oliver's four factors for one side, using the other side's defensive rebounds
+export function fourFactors(side, other) {
+  const fg = side.fieldGoals || {};
+  const three = side.threePointFieldGoals || {};
+  const ft = side.freeThrows || {};
+  const tov = total(side.turnovers) || 0;
+  const orb = side.rebounds?.offensive;
+  const oppDrb = other.rebounds?.defensive;
+  return {
+    efgPct: effectiveFg(fg.made, three.made, fg.attempted),
+    tovPct: pct(tov, (fg.attempted || 0) + 0.44 * (ft.attempted || 0) + tov),
+    orbPct: orb == null || oppDrb == null ? null : pct(orb, orb + oppDrb),
+    ftRate: fg.attempted ? ((ft.attempted || 0) / fg.attempted) * 100 : null
+  };
+}
+
+// Tempo-free team profile from a CFBD team season line
+export function advancedTeam(t) {
+  const games = t.games || 1;
+  const s = t.teamStats || {};
+  const o = t.opponentStats || {};
+  const poss = possessions(s);
+  const oppPoss = Object.keys(o).length > 0 ? possessions(o) : poss;
+  const points = total(s.points);
+  const oppPoints = total(o.points);
+  const offRtg = points != null && poss ? (100 * points) / poss : null;
+  const defRtg = oppPoints != null && oppPoss ? (100 * oppPoints) / oppPoss : null;
+  return {
+    possessions: poss,
+    pace: poss / games,
+    offRtg,
+    defRtg,
+    netRtg: offRtg != null && defRtg != null ? offRtg - defRtg : null,
+    tsPct: trueShooting(points, s.fieldGoals?.attempted, s.freeThrows?.attempted),
+    oppTsPct: trueShooting(oppPoints, o.fieldGoals?.attempted, o.freeThrows?.attempted),
+    offense: fourFactors(s, o),
+    defense: fourFactors(o, s)
+  };
+}
+
+// Player-minutes a team logged; CFBD may report game minutes (40/game) or
+// player minutes (200/game), and older seasons may omit it entirely
+export function teamMinutes(t) {
+  const games = t.games || 0;
+  const minutes = t.totalMinutes;
+  if (!minutes) return games * 200;
+  return minutes < games * 100 ? minutes * 5 : minutes;
+}
+
+// Usage, shot-efficiency, possession-share and per-40 rates for one player.
+// Rates that need team totals are null when the team line is missing.
+export function advancedPlayer(p, teamRow) {
+  const mp = p.minutes || 0;
+  const fg = p.fieldGoals || {};
+  const three = p.threePointFieldGoals || {};
+  const ft = p.freeThrows || {};
+  const fga = fg.attempted || 0;
+  const fta = ft.attempted || 0;
+  const tov = total(p.turnovers) || 0;
+  const orb = p.rebounds?.offensive || 0;
+  const drb = p.rebounds?.defensive || 0;
+  const trb = total(p.rebounds) || orb + drb;
+  const points = total(p.points) || 0;
+  const ast = total(p.assists) || 0;
+  const stl = total(p.steals) || 0;
+  const blk = total(p.blocks) || 0;
+  const pf = total(p.fouls) || 0;
+  const per40 = value => (mp ? (value * 40) / mp : null);
+
+  // Hollinger's Game Score summed over the season, scaled to 40 minutes
+  const gameScore = points + 0.4 * (fg.made || 0) - 0.7 * fga - 0.4 * (fta - (ft.made || 0))
+    + 0.7 * orb + 0.3 * drb + stl + 0.7 * ast + 0.7 * blk - 0.4 * pf - tov;
+
+  const line = {
+    minutes: mp,
+    tsPct: trueShooting(points, fga, fta),
+    efgPct: effectiveFg(fg.made, three.made, fga),
+    tovPct: pct(tov, fga + 0.44 * fta + tov),
+    usage: null,
+    astPct: null,
+    orbPct: null,
+    drbPct: null,
+    trbPct: null,
+    rating: per40(gameScore),
+    pts40: per40(points),
+    reb40: per40(trb),
+    ast40: per40(ast),
+    stl40: per40(stl),
+    blk40: per40(blk),
+    offRtg: p.offensiveRating ?? null,
+    defRtg: p.defensiveRating ?? null,
+    netRtg: p.netRating ?? null
+  };
+
+  const s = teamRow?.teamStats;
+  const o = teamRow?.opponentStats;
+  const tmMp = teamRow ? teamMinutes(teamRow) : 0;
+  if (!s || !mp || !tmMp) {
+    line.usage = p.usage ?? null;
+    return line;
+  }
+
+  const share = tmMp / 5 / mp;
+  const tmPlays = (s.fieldGoals?.attempted || 0) + 0.44 * (s.freeThrows?.attempted || 0) + (total(s.turnovers) || 0);
+  const tmOrb = s.rebounds?.offensive;
+  const tmDrb = s.rebounds?.defensive;
+  const oppOrb = o?.rebounds?.offensive;
+  const oppDrb = o?.rebounds?.defensive;
+
+  line.usage = tmPlays ? (100 * (fga + 0.44 * fta + tov) * share) / tmPlays : p.usage ?? null;
+  const teammateFgm = (mp / (tmMp / 5)) * (s.fieldGoals?.made || 0) - (fg.made || 0);
+  line.astPct = teammateFgm > 0 ? (100 * ast) / teammateFgm : null;
+  if (tmOrb != null && oppDrb != null) line.orbPct = (100 * orb * share) / (tmOrb + oppDrb);
+  if (tmDrb != null && oppOrb != null) line.drbPct = (100 * drb * share) / (tmDrb + oppOrb);
+  if (tmOrb != null && tmDrb != null && oppOrb != null && oppDrb != null) {
+    line.trbPct = (100 * trb * share) / (tmOrb + tmDrb + oppOrb + oppDrb);
+  }
+  return line;
+}
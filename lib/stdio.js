@@ -0,0 +1,84 @@
+// stdio mode: newline-delimited JSON-RPC over stdin/stdout for local MCP
+// clients. stdout carries protocol messages only; logs go to stderr.
+import readline from 'node:readline';
+import { CFBD_BASKETBALL_KEY } from './config.js';
+import { cache } from './cfbd.js';
+import { log, requestIdFrom, withRequestId } from './logger.js';
+import { toolCount } from './registry.js';
+import { handleMessage, errorResponse } from './protocol.js';
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return undefined;
+  }
+}
+
+// One line holds a single message or a batch
+async function handleLine(body, session) {
+  if (body === undefined) {
+    return send(errorResponse(null, -32700, 'Parse error'));
+  }
+
+  const batch = Array.isArray(body);
+  const messages = batch ? body : [body];
+  if (messages.length === 0) {
+    return send(errorResponse(null, -32600, 'Invalid Request: empty batch'));
+  }
+
+  const notify = (method, params) => send({ jsonrpc: '2.0', method, params });
+  const responses = await Promise.all(messages.map(async message => {
+    const response = await handleMessage(message, { session, notify });
+    if (message?.method === 'initialize' && response?.result) {
+      session.protocolVersion = response.result.protocolVersion;
+    }
+    return response;
+  }));
+
+  const replies = responses.filter(Boolean);
+  if (replies.length > 0) send(batch ? replies : replies[0]);
+}
+
+// Serve until stdin closes. Lines are handled as they arrive, so a slow tool
+// call doesn't hold up a ping or a cancellation; each reply is written as one
+// line when it's ready (clients match them by id). Only initialize is waited
+// on: nothing sent after it runs until it completes. Each line gets its own
+// correlation id.
+export function startStdio() {
+  const session = {
+    protocolVersion: null,
+    initialized: false,
+    notify: (method, params) => send({ jsonrpc: '2.0', method, params })
+  };
+  let ready = Promise.resolve();
+  const pending = new Set();
+
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', line => {
+    if (!line.trim()) return;
+    const body = parseLine(line);
+    const handled = ready
+      .then(() => withRequestId(requestIdFrom(), () => handleLine(body, session)))
+      .catch(err => log.error('stdio message failed', { error: err }));
+    if ([].concat(body).some(m => m?.method === 'initialize')) ready = handled;
+    pending.add(handled);
+    handled.finally(() => pending.delete(handled));
+  });
+  // Finish what's in flight and save the cache file before exiting
+  rl.on('close', async () => {
+    await Promise.all(pending);
+    await cache.flush();
+    process.exit(0);
+  });
+
+  log.info('CFBD Basketball MCP Server on stdio', {
+    tools: toolCount(),
+    cfbdKey: Boolean(CFBD_BASKETBALL_KEY),
+    cache: cache.stats().file || 'memory'
+  });
+}
@@ -0,0 +1,190 @@
+import { cfbdGet } from './cfbd.js';
+import { ToolError } from './errors.js';
+import { foldText, similarity } from './fuzzy.js';
+import { log } from './logger.js';
+
+// Common nicknames and abbreviations that CFBD's teams list doesn't carry
+const NICKNAMES = {
+  'ou': 'Oklahoma',
+  'sooners': 'Oklahoma',
+  'boomer sooner': 'Oklahoma',
+  'osu': 'Oklahoma State',
+  'okstate': 'Oklahoma State',
+  'ok state': 'Oklahoma State',
+  'pokes': 'Oklahoma State',
+  'ku': 'Kansas',
+  'kstate': 'Kansas State',
+  'k state': 'Kansas State',
+  'uk': 'Kentucky',
+  'horns': 'Texas',
+  'tamu': 'Texas A&M',
+  'a&m': 'Texas A&M',
+  'aggies': 'Texas A&M',
+  'ttu': 'Texas Tech',
+  'unc': 'North Carolina',
+  'tar heels': 'North Carolina',
+  'uconn': 'UConn',
+  'zags': 'Gonzaga',
+  'bama': 'Alabama',
+  'mizzou': 'Missouri',
+  'ole miss': 'Ole Miss',
+  'vandy': 'Vanderbilt',
+  'cuse': 'Syracuse',
+  'nova': 'Villanova',
+  'iu': 'Indiana',
+  'uva': 'Virginia',
+  'wvu': 'West Virginia'
+};
+
+// Teams list refreshes at most once a day
+const TEAMS_TTL = 24 * 60 * 60 * 1000;
+
+let teamsPromise = null;
+let teamsLoadedAt = 0;
+
+// Raised when a team name can't be resolved to a single CFBD team
+export class TeamLookupError extends ToolError {
+  constructor(message, suggestions = []) {
+    super(message);
+    this.name = 'TeamLookupError';
+    this.suggestions = suggestions;
+  }
+}
+
+export function normalizeName(name) {
+  return foldText(name)
+    .replace(/\buniversity of\b|\buniversity\b|\bthe\b/g, ' ')
+    .replace(/[^a-z0-9&' ]/g, ' ')
+    .replace(/'/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Case-insensitive team name comparison for game/poll records
+export function sameTeam(a, b) {
+  return Boolean(a) && Boolean(b) && normalizeName(a) === normalizeName(b);
+}
+
+async function loadTeams() {
+  if (teamsPromise && Date.now() - teamsLoadedAt < TEAMS_TTL) return teamsPromise;
+  teamsLoadedAt = Date.now();
+  teamsPromise = cfbdGet('/teams').then(data => {
+    const teams = (data || []).filter(t => t.school);
+    log.info('Teams loaded', { teams: teams.length });
+    return teams;
+  });
+  teamsPromise.catch(() => { teamsPromise = null; });
+  return teamsPromise;
+}
+
+// Every name a team answers to, normalized
+function aliasesFor(team) {
+  const names = [team.school, team.displayName, team.shortDisplayName, team.abbreviation, team.mascot]
+    .filter(Boolean)
+    .map(normalizeName);
+  if (team.mascot) names.push(normalizeName(`${team.school} ${team.mascot}`));
+  for (const [nick, school] of Object.entries(NICKNAMES)) {
+    if (school === team.school) names.push(nick);
+  }
+  return [...new Set(names)];
+}
+
+function uniqueSchools(teams) {
+  return [...new Map(teams.map(t => [t.school, t])).values()];
+}
+
+function didYouMean(input, teams) {
+  const names = teams.map(t => t.school);
+  return new TeamLookupError(
+    `"${input}" matches more than one team. Did you mean:\n${names.map(n => `• ${n}`).join('\n')}`,
+    names
+  );
+}
+
+// Resolve free-form input ("OU", "Sooners", "texas a&m") to a CFBD team record
+export async function resolveTeam(input) {
+  const query = normalizeName(input);
+  if (!query) throw new TeamLookupError('A team name is required');
+
+  const teams = await loadTeams();
+
+  // 1. Exact school name wins outright ("Texas" is not "Texas A&M")
+  const bySchool = teams.filter(t => normalizeName(t.school) === query);
+  if (bySchool.length === 1) return bySchool[0];
+
+  // 2. Nickname table, then any exact alias (abbreviation, mascot, display name)
+  if (NICKNAMES[query]) {
+    const nick = teams.find(t => t.school === NICKNAMES[query]);
+    if (nick) return nick;
+  }
+  const byAlias = uniqueSchools(teams.filter(t => aliasesFor(t).includes(query)));
+  if (byAlias.length === 1) return byAlias[0];
+  if (byAlias.length > 1) throw didYouMean(input, byAlias.slice(0, 8));
+
+  // 3. Fuzzy: prefix/word matches and near-miss spellings, best first
+  const scored = teams
+    .map(t => {
+      let score = 0;
+      for (const alias of aliasesFor(t)) {
+        if (alias.startsWith(query) || query.startsWith(alias)) {
+          score = Math.max(score, 0.8 + 0.2 * Math.min(alias.length, query.length) / Math.max(alias.length, query.length));
+        } else if (alias.split(' ').includes(query)) {
+          score = Math.max(score, 0.75);
+        } else {
+          score = Math.max(score, similarity(alias, query));
+        }
+      }
+      return { team: t, score };
+    })
+    .filter(s => s.score >= 0.6)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) {
+    throw new TeamLookupError(`No team found matching "${input}"`);
+  }
+  if (scored.length === 1 || scored[0].score - scored[1].score >= 0.1) {
+    return scored[0].team;
+  }
+  throw didYouMean(input, uniqueSchools(scored.map(s => s.team)).slice(0, 5));
+}
+
+// Canonical CFBD school name for the input. If the teams list can't be
+// loaded, the input is passed through so the tool can still try it.
+export async function resolveTeamName(input) {
+  try {
+    return (await resolveTeam(input)).school;
+  } catch (err) {
+    if (err instanceof TeamLookupError) throw err;
+    log.warn('Team lookup unavailable, using the name as given', { team: input, error: err.message });
+    return String(input).trim();
+  }
+}
+
+let conferencesPromise = null;
+
+// Resolve "SEC", "big 12", "Big Twelve" to a CFBD conference record
+export async function resolveConference(input) {
+  const query = normalizeName(input).replace(/\btwelve\b/, '12').replace(/\bten\b/, '10');
+  if (!query) throw new TeamLookupError('A conference name is required');
+
+  if (!conferencesPromise) {
+    conferencesPromise = cfbdGet('/conferences').then(data => data || []);
+    conferencesPromise.catch(() => { conferencesPromise = null; });
+  }
+  const conferences = await conferencesPromise;
+
+  const names = c => [c.abbreviation, c.shortName, c.name].filter(Boolean).map(normalizeName);
+  const exact = conferences.filter(c => names(c).includes(query));
+  if (exact.length === 1) return exact[0];
+
+  const partial = conferences.filter(c => names(c).some(n => n.includes(query) || query.includes(n)));
+  if (partial.length === 1) return partial[0];
+  if (partial.length > 1) {
+    const list = partial.slice(0, 8).map(c => c.abbreviation || c.name);
+    throw new TeamLookupError(
+      `"${input}" matches more than one conference. Did you mean:\n${list.map(n => `• ${n}`).join('\n')}`,
+      list
+    );
+  }
+  throw new TeamLookupError(`No conference found matching "${input}"`);
+}
@@ -0,0 +1,172 @@
+// Minimal JSON Schema validation for tool arguments.
+// Covers the keywords our tool schemas use: type, properties, required,
+// additionalProperties, default, enum, minimum/maximum, minLength/maxLength,
+// pattern, items and minItems/maxItems. Numeric strings are coerced for
+// number/integer fields, since clients often send "2025" for a year, and
+// fields with format "season" or "season-range" are parsed into season years.
+import { FIRST_SEASON, MAX_SEASON_SPAN, currentSeason, parseSeasonRange, seasonYears } from './seasons.js';
+
+// JSON-RPC "Invalid params" error with field-level details
+export class InvalidParamsError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'InvalidParamsError';
+    this.code = -32602;
+    this.data = { errors };
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function coerce(value, types) {
+  if (typeof value === 'string' && value.trim() !== '' &&
+      (types.includes('number') || types.includes('integer'))) {
+    const n = Number(value);
+    if (!Number.isNaN(n)) return n;
+  }
+  if (typeof value === 'string' && types.includes('boolean')) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  }
+  return value;
+}
+
+// "2024-25", "last season" etc. become a season year; a "season-range" field
+// covering several seasons becomes an array of years, oldest first. Seasons
+// run from the first CFBD has through next season's schedule.
+function parseSeasonField(schema, value, field, errors) {
+  const range = parseSeasonRange(value);
+  const span = range && range.to - range.from + 1;
+  const latest = currentSeason() + 1;
+  if (!range) {
+    errors.push({ field, message: 'must be a season like 2025, "2024-25" or "last season"' });
+  } else if (span > 1 && schema.format !== 'season-range') {
+    errors.push({ field, message: 'must be a single season' });
+  } else if (span > MAX_SEASON_SPAN) {
+    errors.push({ field, message: `must span at most ${MAX_SEASON_SPAN} seasons` });
+  } else if (range.from < FIRST_SEASON || range.to > latest) {
+    errors.push({ field, message: `must be a season from ${FIRST_SEASON} to ${latest}` });
+  } else {
+    return span === 1 ? range.from : seasonYears(range);
+  }
+  return value;
+}
+
+function check(schema, value, field, errors) {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      value = coerce(value, types);
+    }
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ field, message: `must be ${types.join(' or ')}`, received: typeOf(value) });
+      return value;
+    }
+  }
+
+  if (schema.format === 'season' || schema.format === 'season-range') {
+    return parseSeasonField(schema, value, field, errors);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value = value.map((item, i) => check(schema.items, item, `${field}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required)) {
+    value = checkObject(schema, value, field, errors);
+  }
+
+  return value;
+}
+
+function checkObject(schema, value, prefix, errors) {
+  const out = { ...value };
+  const props = schema.properties || {};
+  const at = key => (prefix ? `${prefix}.${key}` : key);
+
+  for (const [key, propSchema] of Object.entries(props)) {
+    if (out[key] === undefined && propSchema.default !== undefined) {
+      out[key] = propSchema.default;
+    }
+  }
+
+  for (const key of schema.required || []) {
+    if (out[key] === undefined || out[key] === null || out[key] === '') {
+      errors.push({ field: at(key), message: 'is required' });
+    }
+  }
+
+  for (const [key, item] of Object.entries(out)) {
+    if (item === undefined) continue;
+    if (props[key]) {
+      out[key] = check(props[key], item, at(key), errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ field: at(key), message: 'is not allowed' });
+    }
+  }
+
+  return out;
+}
+
+// Validate args against a tool's inputSchema, returning them with defaults
+// applied and numeric strings coerced. Throws InvalidParamsError on failure.
+export function validateArgs(schema, args) {
+  // Arguments may be left out or null
+  args ??= {};
+  if (typeOf(args) !== 'object') {
+    throw new InvalidParamsError('Invalid params: arguments must be an object', [
+      { field: 'arguments', message: 'must be object', received: typeOf(args) }
+    ]);
+  }
+  const errors = [];
+  const value = checkObject(schema || {}, args, '', errors);
+  if (errors.length > 0) {
+    const summary = errors.map(e => `${e.field} ${e.message}`).join('; ');
+    throw new InvalidParamsError(`Invalid params: ${summary}`, errors);
+  }
+  return value;
+}
@@ -0,0 +1,109 @@
+// Offline stand-in for the CFBD basketball API. Replays the JSON fixtures in
+// test/fixtures, filtered by the query parameters CFBD itself honours, so
+// the server can run and be tested without network access.
+//
+//   npm run fixtures
+//   CFBD_BASE_URL=http://localhost:8787 CFBD_BASKETBALL_KEY=test npm start
+//
+// Tests start it in-process and use failNext() to simulate upstream errors.
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Endpoint → fixture file; /plays/game/{id} maps to plays-game-{id}.json
+const ROUTES = {
+  '/games': 'games',
+  '/games/players': 'games-players',
+  '/games/teams': 'games-teams',
+  '/games/media': 'games-media',
+  '/stats/player/season': 'stats-player-season',
+  '/stats/team/season': 'stats-team-season',
+  '/ratings/adjusted': 'ratings-adjusted',
+  '/rankings': 'rankings',
+  '/teams/roster': 'teams-roster',
+  '/teams': 'teams',
+  '/conferences': 'conferences'
+};
+
+const same = (a, b) => String(a ?? '').toLowerCase() === String(b).toLowerCase();
+const day = iso => String(iso ?? '').slice(0, 10);
+
+// CFBD's filters: team and conference match either side of a game
+const FILTERS = {
+  season: (row, value) => row.season === Number(value),
+  team: (row, value) => [row.team, row.homeTeam, row.awayTeam].some(t => same(t, value)),
+  conference: (row, value) => [row.conference, row.homeConference, row.awayConference].some(c => same(c, value)),
+  startDateRange: (row, value) => day(row.startDate) >= value,
+  endDateRange: (row, value) => day(row.startDate) <= value
+};
+
+function readFixture(dir, name) {
+  const file = path.join(dir, `${name}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function fixtureFor(dir, pathname) {
+  const plays = /^\/plays\/game\/(\d+)$/.exec(pathname);
+  if (plays) return readFixture(dir, `plays-game-${plays[1]}`) || [];
+  return Object.hasOwn(ROUTES, pathname) ? readFixture(dir, ROUTES[pathname]) : null;
+}
+
+// Start on `port` (0 picks a free one). Resolves to
+// { url, requests, failNext(status, { times, retryAfter, path }), clearFailures(), close() }
+export function startFixtureServer({ port = 0, dir = FIXTURES_DIR } = {}) {
+  const requests = [];
+  const failures = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://fixtures');
+    requests.push(`${url.pathname}${url.search}`);
+
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+      return send(401, { message: 'Unauthorized' });
+    }
+
+    const failure = failures.find(f => !f.path || f.path === url.pathname);
+    if (failure) {
+      if (--failure.times <= 0) failures.splice(failures.indexOf(failure), 1);
+      const headers = failure.retryAfter != null ? { 'retry-after': String(failure.retryAfter) } : {};
+      return send(failure.status, { message: 'Simulated upstream failure' }, headers);
+    }
+
+    const rows = fixtureFor(dir, url.pathname);
+    if (rows === null) return send(404, { message: 'Not found' });
+
+    const filters = [...url.searchParams].filter(([key]) => Object.hasOwn(FILTERS, key));
+    send(200, rows.filter(row => filters.every(([key, value]) => FILTERS[key](row, value))));
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        // The next `times` requests (to `path`, if given) fail with `status`
+        failNext(status, { times = 1, retryAfter, path } = {}) {
+          failures.push({ status, times, retryAfter, path });
+        },
+        clearFailures() {
+          failures.length = 0;
+        },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Run directly: serve on FIXTURE_PORT until stopped
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const fixtures = await startFixtureServer({ port: Number(process.env.FIXTURE_PORT || 8787) });
+  console.log(`CFBD fixture server on ${fixtures.url}`);
+}
@@ -0,0 +1,43 @@
+// Season lookups for "what's on now" questions, against the fixture server
+// with the clock pinned to a date before the November changeover.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFixtureServer } from './fixture-server.js';
+
+const OCTOBER = new Date('2026-10-19T17:00:00Z');
+
+describe('fetchActiveSeasonGames', () => {
+  let fixtures;
+  let games;
+  let currentSeason;
+
+  before(async () => {
+    fixtures = await startFixtureServer();
+    process.env.CFBD_BASE_URL = fixtures.url;
+    process.env.CFBD_BASKETBALL_KEY = 'test-key';
+    process.env.LOG_LEVEL = 'error';
+    games = await import('../lib/games.js');
+    ({ currentSeason } = await import('../lib/seasons.js'));
+  });
+
+  after(() => fixtures?.close());
+
+  test('in October a finished season gives way to the next one\'s schedule', async () => {
+    const year = currentSeason(OCTOBER);
+    assert.equal(year, 2026);
+    const active = await games.fetchActiveSeasonGames('Oklahoma', year, { now: OCTOBER });
+    assert.equal(active.year, 2027);
+    assert.deepEqual(games.upcomingGames(active.games, OCTOBER).map(g => g.id), [6001]);
+  });
+
+  test('the next season is only used when it is ready', async () => {
+    const started = list => list.some(g => new Date(g.startDate) <= OCTOBER);
+    const active = await games.fetchActiveSeasonGames('Oklahoma', 2026, { now: OCTOBER, ready: started });
+    assert.equal(active.year, 2026);
+  });
+
+  test('a season with games left is kept', async () => {
+    const active = await games.fetchActiveSeasonGames('Oklahoma', 2025, { now: new Date('2025-02-01T12:00:00Z') });
+    assert.equal(active.year, 2025);
+  });
+});
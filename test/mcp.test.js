@@ -0,0 +1,425 @@
+// End-to-end tests: run server.js against the CFBD fixture server and drive
+// it over /mcp the way an MCP client would. No network access needed.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateArgs } from '../lib/validate.js';
+import { startFixtureServer } from './fixture-server.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PROTOCOL_VERSION = '2025-06-18';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+// Start server.js with extra env and wait for /health
+async function startServer(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(port), CFBD_BASKETBALL_KEY: 'test-key', LOG_LEVEL: 'error', ...env },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const url = `http://127.0.0.1:${port}`;
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) throw new Error(`server exited with ${child.exitCode}`);
+    try {
+      if ((await fetch(`${url}/health`)).ok) break;
+    } catch {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return {
+    url,
+    stop: () => new Promise(resolve => {
+      child.once('exit', resolve);
+      child.kill();
+    })
+  };
+}
+
+// A client session: rpc() posts one JSON-RPC request, initializing first.
+// `key` is sent as a Bearer token.
+function connect(url, key) {
+  let sessionId = null;
+  let nextId = 1;
+
+  async function post(message) {
+    const response = await fetch(`${url}/mcp`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        accept: 'application/json, text/event-stream',
+        ...(key && { authorization: `Bearer ${key}` }),
+        ...(sessionId && { 'mcp-session-id': sessionId, 'mcp-protocol-version': PROTOCOL_VERSION })
+      },
+      body: JSON.stringify(message)
+    });
+    return { response, body: response.status === 202 ? null : await response.json() };
+  }
+
+  async function initialize() {
+    const { response, body } = await post({
+      jsonrpc: '2.0',
+      id: nextId++,
+      method: 'initialize',
+      params: { protocolVersion: PROTOCOL_VERSION, capabilities: {}, clientInfo: { name: 'tests', version: '1.0.0' } }
+    });
+    sessionId = response.headers.get('mcp-session-id');
+    await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    return body;
+  }
+
+  async function rpc(method, params) {
+    if (!sessionId) await initialize();
+    return (await post({ jsonrpc: '2.0', id: nextId++, method, params })).body;
+  }
+
+  return { initialize, rpc, sessionId: () => sessionId };
+}
+
+const OU = { team: 'Oklahoma', year: 2025 };
+
+// One happy-path call per tool, with a line its text must contain
+const TOOL_CASES = [
+  ['get_basketball_schedule', OU, /vs Central Arkansas - W 82-50/],
+  ['get_basketball_score', OU, /Final: 79-86/],
+  ['get_basketball_next_game', OU, /No upcoming games/],
+  ['get_basketball_box_score', { ...OU, opponent: 'Alabama' }, /Alabama 78, Oklahoma 82/],
+  ['get_basketball_play_by_play', OU, /Auburn 86, Oklahoma 79/],
+  ['get_basketball_player_stats', { ...OU, query: 'fears' }, /JEREMIAH FEARS/],
+  ['get_basketball_team_stats', { ...OU, detail: 'advanced' }, /Adj\. Offense: 117\.4/],
+  ['get_basketball_shooting_stats', OU, /TOP 3-POINT SHOOTERS/],
+  ['get_basketball_roster', OU, /Jeremiah Fears - G \(#0\)/],
+  ['get_basketball_rankings', OU, /Peak: #12 \(Week 8\)/],
+  ['get_basketball_standings', { conference: 'SEC', year: 2025 }, /1\. Auburn\s+4-1/],
+  ['get_basketball_head_to_head', { team: 'OU', opponent: 'Oklahoma State', startYear: 2024, endYear: 2025 }, /Oklahoma leads 2-1/],
+  ['get_basketball_comparison', { teams: [{ team: 'Oklahoma', year: 2025 }, { team: 'Alabama', year: 2025 }] }, /TEAM COMPARISON/]
+];
+
+describe('MCP server over HTTP', () => {
+  let fixtures;
+  let server;
+  let client;
+  let outputSchemas;
+
+  const callTool = async (name, args) => {
+    const response = await client.rpc('tools/call', { name, arguments: args });
+    assert.equal(response.error, undefined, `${name} failed: ${JSON.stringify(response.error)}`);
+    return response.result;
+  };
+  const textOf = result => result.content.map(c => c.text).join('\n');
+
+  before(async () => {
+    fixtures = await startFixtureServer();
+    server = await startServer({
+      CFBD_BASE_URL: fixtures.url,
+      CACHE_TTL_CURRENT: '1',
+      CACHE_TTL_PAST: '1',
+      UPSTREAM_RETRIES: '1',
+      UPSTREAM_BACKOFF: '10',
+      BREAKER_THRESHOLD: '1000'
+    });
+    client = connect(server.url);
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fixtures?.close();
+  });
+
+  test('initialize negotiates a version and starts a session', async () => {
+    const fresh = connect(server.url);
+    const { result } = await fresh.initialize();
+    assert.equal(result.protocolVersion, PROTOCOL_VERSION);
+    assert.equal(result.serverInfo.name, 'cfbd-basketball');
+    assert.ok(result.capabilities.tools);
+    assert.match(fresh.sessionId(), /^[0-9a-f-]{36}$/);
+  });
+
+  test('requests without a session are rejected', async () => {
+    const response = await fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    assert.equal(response.status, 400);
+  });
+
+  test('initialize without an id is rejected', async () => {
+    const response = await fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', method: 'initialize', params: {} })
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, -32600);
+    assert.ok((await fetch(`${server.url}/health`)).ok, 'server is still up');
+  });
+
+  test('admin routes are closed when no keys are configured', async () => {
+    assert.equal((await fetch(`${server.url}/cache`, { method: 'DELETE' })).status, 403);
+    assert.equal((await fetch(`${server.url}/admin/keys/reload`, { method: 'POST' })).status, 403);
+  });
+
+  test('tools/list describes every tool with input and output schemas', async () => {
+    const { result } = await client.rpc('tools/list');
+    assert.deepEqual(
+      result.tools.map(t => t.name).sort(),
+      TOOL_CASES.map(([name]) => name).sort()
+    );
+    for (const tool of result.tools) {
+      assert.equal(tool.inputSchema.type, 'object', tool.name);
+      assert.equal(tool.outputSchema.type, 'object', tool.name);
+    }
+    outputSchemas = Object.fromEntries(result.tools.map(t => [t.name, t.outputSchema]));
+  });
+
+  describe('tools/call', () => {
+    for (const [name, args, expected] of TOOL_CASES) {
+      test(name, async () => {
+        const result = await callTool(name, args);
+        assert.notEqual(result.isError, true);
+        assert.match(textOf(result), expected);
+        assert.ok(result.structuredContent, 'has structuredContent');
+        assert.doesNotThrow(() => validateArgs(outputSchemas[name], result.structuredContent));
+      });
+    }
+
+    test('a player comparison notes where lower is better', async () => {
+      const result = await callTool('get_basketball_comparison', {
+        players: [{ name: 'Jeremiah Fears', team: 'Oklahoma', year: 2025 }, { name: 'Jalon Moore', team: 'Oklahoma', year: 2025 }]
+      });
+      assert.match(textOf(result), /★ = category leader \(lower is better for TOPG\)/);
+    });
+
+    test('format "json" returns the structured data as text', async () => {
+      const result = await callTool('get_basketball_schedule', { ...OU, format: 'json' });
+      const data = JSON.parse(result.content[0].text);
+      assert.deepEqual(data, result.structuredContent);
+      assert.equal(data.games.length, 9);
+    });
+
+    test('format "text" leaves out structured content', async () => {
+      const result = await callTool('get_basketball_roster', { ...OU, format: 'text' });
+      assert.equal(result.structuredContent, undefined);
+      assert.match(textOf(result), /OKLAHOMA BASKETBALL ROSTER/);
+    });
+  });
+
+  test('play-by-play takes the score from the last play that has one', async () => {
+    const result = await callTool('get_basketball_play_by_play', OU);
+    assert.match(textOf(result), /Auburn 86, Oklahoma 79/);
+    assert.equal(result.structuredContent.game.homePoints, 79);
+    assert.equal(result.structuredContent.game.awayPoints, 86);
+  });
+
+  describe('empty data and wrong seasons', () => {
+    test('a season without data explains itself', async () => {
+      const result = await callTool('get_basketball_roster', { team: 'Oklahoma', year: 2010 });
+      assert.notEqual(result.isError, true);
+      assert.equal(textOf(result), 'No roster found for OKLAHOMA basketball in the 2009-2010 season');
+      assert.equal(result.structuredContent.message, textOf(result));
+    });
+
+    test('player stats for a season with no data', async () => {
+      const result = await callTool('get_basketball_player_stats', { team: 'Oklahoma', year: 2019 });
+      assert.match(textOf(result), /No player stats found for OKLAHOMA basketball in the 2018-2019 season/);
+    });
+
+    test('a date the team did not play', async () => {
+      const result = await callTool('get_basketball_box_score', { ...OU, date: '2025-01-01' });
+      assert.equal(textOf(result), 'Oklahoma did not play on 2025-01-01');
+      assert.notEqual(result.isError, true);
+      assert.deepEqual(result.structuredContent, { message: 'Oklahoma did not play on 2025-01-01' });
+    });
+
+    test('a tool error in json format is the message as JSON', async () => {
+      const result = await callTool('get_basketball_box_score', { ...OU, date: '2025-01-01', format: 'json' });
+      assert.deepEqual(JSON.parse(textOf(result)), { message: 'Oklahoma did not play on 2025-01-01' });
+    });
+
+    test('an unknown team', async () => {
+      const result = await callTool('get_basketball_schedule', { team: 'Zzyzx Tech', year: 2025 });
+      assert.match(textOf(result), /No team found matching "Zzyzx Tech"/);
+    });
+  });
+
+  describe('season arguments', () => {
+    test('a season can be named like "2024-25"', async () => {
+      const result = await callTool('get_basketball_roster', { team: 'Oklahoma', year: '2024-25' });
+      assert.match(textOf(result), /OKLAHOMA BASKETBALL ROSTER - 2024-2025/);
+      assert.equal(result.structuredContent.season, 2025);
+    });
+
+    test('a range runs the tool for each season', async () => {
+      const result = await callTool('get_basketball_schedule', { team: 'Oklahoma', year: '2024 to 2025' });
+      assert.match(textOf(result), /SCHEDULE - 2023-2024 Season[\s\S]*SCHEDULE - 2024-2025 Season/);
+      assert.deepEqual(result.structuredContent.seasons.map(s => s.season), [2024, 2025]);
+      assert.doesNotThrow(() => validateArgs(outputSchemas.get_basketball_schedule, result.structuredContent));
+    });
+
+    test('a season in a range with no match does not hide the others', async () => {
+      const result = await callTool('get_basketball_box_score', { team: 'OU', opponent: 'Alabama', year: '2024 to 2025' });
+      assert.notEqual(result.isError, true);
+      const [earlier, later] = result.structuredContent.seasons;
+      assert.equal(earlier.season, 2024);
+      assert.match(earlier.message, /^2023-2024: /);
+      assert.equal(later.season, 2025);
+      assert.match(textOf(result), /Alabama 78, Oklahoma 82/);
+      assert.doesNotThrow(() => validateArgs(outputSchemas.get_basketball_box_score, result.structuredContent));
+    });
+  });
+
+  describe('protocol errors', () => {
+    test('unknown tool', async () => {
+      const response = await client.rpc('tools/call', { name: 'get_basketball_weather', arguments: {} });
+      assert.equal(response.error.code, -32601);
+    });
+
+    test('prompt arguments that are null or not an object', async () => {
+      const recap = await client.rpc('prompts/get', { name: 'game-recap', arguments: null });
+      assert.match(recap.result.messages[0].content.text, /Oklahoma/);
+      const scouting = await client.rpc('prompts/get', { name: 'scouting-report', arguments: null });
+      assert.equal(scouting.error.code, -32602);
+      const wrongType = await client.rpc('prompts/get', { name: 'game-recap', arguments: 'Oklahoma' });
+      assert.equal(wrongType.error.code, -32602);
+    });
+
+    test('null tool arguments are treated as none', async () => {
+      const result = await callTool('get_basketball_standings', null);
+      assert.equal(textOf(result), 'Provide a conference (e.g., "SEC") or a team');
+    });
+
+    test('a year outside the seasons CFBD covers', async () => {
+      const response = await client.rpc('tools/call', { name: 'get_basketball_roster', arguments: { team: 'Oklahoma', year: 0 } });
+      assert.equal(response.error.code, -32602);
+    });
+
+    test('invalid arguments', async () => {
+      const response = await client.rpc('tools/call', { name: 'get_basketball_roster', arguments: { team: 'Oklahoma', year: 'last' } });
+      assert.equal(response.error.code, -32602);
+    });
+  });
+
+  // Each case uses data nothing else has fetched, so caching can't hide the failure
+  describe('upstream errors', () => {
+    const requestsTo = pathname => fixtures.requests.filter(r => r.startsWith(`${pathname}?`)).length;
+
+    test('a 5xx is retried', async () => {
+      fixtures.failNext(503, { path: '/rankings' });
+      const before = requestsTo('/rankings');
+      const result = await callTool('get_basketball_rankings', { team: 'Oklahoma', year: 2024 });
+      assert.notEqual(result.isError, true);
+      assert.equal(requestsTo('/rankings') - before, 2);
+    });
+
+    test('a short Retry-After on 429 is waited out', async () => {
+      fixtures.failNext(429, { retryAfter: 1, path: '/teams/roster' });
+      const started = Date.now();
+      const result = await callTool('get_basketball_roster', { team: 'Alabama', year: 2025 });
+      assert.notEqual(result.isError, true);
+      assert.match(textOf(result), /Mark Sears/);
+      assert.ok(Date.now() - started >= 1000);
+    });
+
+    test('a live score falls back to the game record when the play feed fails', async () => {
+      fixtures.failNext(500, { times: 20, path: '/plays/game/5201' });
+      try {
+        const result = await callTool('get_basketball_score', { team: 'Kansas', year: 2025 });
+        assert.notEqual(result.isError, true);
+        assert.match(textOf(result), /Score: 41-38 \(leading by 3\)/);
+        assert.match(textOf(result), /Status: In progress - 2nd Half/);
+        assert.doesNotMatch(textOf(result), /RECENT SCORING/);
+        assert.deepEqual(result.structuredContent.recentScoring, []);
+      } finally {
+        fixtures.clearFailures();
+      }
+    });
+
+    test('a failure with nothing cached sets isError', async () => {
+      fixtures.failNext(500, { times: 20, path: '/games' });
+      try {
+        const result = await callTool('get_basketball_schedule', { team: 'Oklahoma', year: 2023 });
+        assert.equal(result.isError, true);
+        assert.equal(textOf(result), 'CFBD API error: 500');
+      } finally {
+        fixtures.clearFailures();
+      }
+    });
+
+    test('stale data is served with an "as of" time when CFBD is down', async () => {
+      const fresh = await callTool('get_basketball_roster', OU);
+      assert.equal(fresh.structuredContent.asOf, undefined);
+
+      // Let the 1s cache entry expire, then take CFBD down
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      fixtures.failNext(500, { times: 20, path: '/teams/roster' });
+      try {
+        const stale = await callTool('get_basketball_roster', OU);
+        assert.notEqual(stale.isError, true);
+        assert.match(textOf(stale), /CFBD is unavailable; showing cached data as of/);
+        assert.ok(!Number.isNaN(Date.parse(stale.structuredContent.asOf)));
+        assert.deepEqual(stale.structuredContent.players, fresh.structuredContent.players);
+      } finally {
+        fixtures.clearFailures();
+      }
+    });
+  });
+});
+
+describe('scoped API keys', () => {
+  const SCORES_KEY = 'scores-only-key-0123456789';
+  const READER_KEY = 'resource-reader-key-0123456789';
+  let fixtures;
+  let server;
+  let keysFile;
+
+  before(async () => {
+    keysFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cfbd-keys-')), 'keys.json');
+    fs.writeFileSync(keysFile, JSON.stringify({
+      clients: [
+        { name: 'scores', key: SCORES_KEY, tools: ['get_basketball_score'] },
+        { name: 'reader', key: READER_KEY, tools: ['get_basketball_score', 'resources'] }
+      ]
+    }));
+    fixtures = await startFixtureServer();
+    server = await startServer({ CFBD_BASE_URL: fixtures.url, MCP_KEYS_FILE: keysFile });
+  });
+
+  after(async () => {
+    await server?.stop();
+    await fixtures?.close();
+    if (keysFile) fs.rmSync(path.dirname(keysFile), { recursive: true, force: true });
+  });
+
+  const URI = 'cbb://team/oklahoma/2025/roster';
+
+  test('resources are hidden from a client scoped to tools only', async () => {
+    const client = connect(server.url, SCORES_KEY);
+    assert.deepEqual((await client.rpc('resources/list')).result.resources, []);
+    assert.deepEqual((await client.rpc('resources/templates/list')).result.resourceTemplates, []);
+    assert.equal((await client.rpc('resources/read', { uri: URI })).error.code, -32003);
+    assert.equal((await client.rpc('resources/subscribe', { uri: URI })).error.code, -32003);
+  });
+
+  test('"resources" in the scope allows them', async () => {
+    const client = connect(server.url, READER_KEY);
+    assert.ok((await client.rpc('resources/list')).result.resources.length > 0);
+    const { result } = await client.rpc('resources/read', { uri: URI });
+    assert.match(result.contents[0].text, /Jeremiah Fears/);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { currentSeason, parseSeasonRange, seasonYears } from '../lib/seasons.js';
+import { validateArgs } from '../lib/validate.js';
+import { seasonProperty, yearProperty } from '../lib/args.js';
+
+const OCTOBER = new Date('2026-10-19T17:00:00Z');
+
+describe('currentSeason', () => {
+  test('before November it is the season that ended in the spring', () => {
+    assert.equal(currentSeason(OCTOBER), 2026);
+    assert.equal(currentSeason(new Date('2026-03-30T17:00:00Z')), 2026);
+  });
+
+  test('from November 1 it is the season about to start', () => {
+    assert.equal(currentSeason(new Date('2026-11-01T17:00:00Z')), 2027);
+    assert.equal(currentSeason(new Date('2026-12-31T17:00:00Z')), 2027);
+  });
+
+  test('the changeover follows the configured time zone', () => {
+    // 03:00 UTC on November 1 is still October 31 in Chicago
+    assert.equal(currentSeason(new Date('2026-11-01T03:00:00Z'), 'America/Chicago'), 2026);
+    assert.equal(currentSeason(new Date('2026-11-01T03:00:00Z'), 'UTC'), 2027);
+  });
+});
+
+describe('parseSeasonRange', () => {
+  const yearsOf = input => {
+    const range = parseSeasonRange(input, OCTOBER);
+    return range && seasonYears(range);
+  };
+
+  const cases = [
+    [2025, [2025]],
+    ['2025', [2025]],
+    ['2024-25', [2025]],
+    ['2024-2025', [2025]],
+    ['1999-00', [2000]],
+    ['this season', [2026]],
+    ['This Year', [2026]],
+    ['current', [2026]],
+    ['last season', [2025]],
+    ['previous year', [2025]],
+    ['next season', [2027]],
+    ['2022 to 2025', [2022, 2023, 2024, 2025]],
+    ['2021-22 through 2023-24', [2022, 2023, 2024]],
+    ['2023..2025', [2023, 2024, 2025]],
+    ['2021-2024', [2021, 2022, 2023, 2024]],
+    ['last 3 seasons', [2024, 2025, 2026]]
+  ];
+  for (const [input, expected] of cases) {
+    test(JSON.stringify(input), () => assert.deepEqual(yearsOf(input), expected));
+  }
+
+  test('rejects anything else', () => {
+    for (const input of ['last', 'soon', '2024-26', '2025 to 2022', '25', '', 'last 0 seasons']) {
+      assert.equal(parseSeasonRange(input, OCTOBER), null, input);
+    }
+  });
+
+  test('a huge range is parsed without listing its seasons', () => {
+    assert.deepEqual(parseSeasonRange('last 200000000 seasons', OCTOBER), { from: 2026 - 200000000 + 1, to: 2026 });
+  });
+});
+
+describe('season arguments', () => {
+  const schema = { type: 'object', properties: { year: yearProperty, endYear: seasonProperty } };
+
+  test('single seasons become a year and ranges a list of years', () => {
+    assert.deepEqual(validateArgs(schema, { year: '2024-25', endYear: '2024-25' }), { year: 2025, endYear: 2025 });
+    assert.deepEqual(validateArgs(schema, { year: '2023 to 2025' }).year, [2023, 2024, 2025]);
+  });
+
+  test('ranges are refused where one season is expected, and capped in length', () => {
+    assert.throws(() => validateArgs(schema, { endYear: '2023 to 2025' }), /endYear must be a single season/);
+    assert.throws(() => validateArgs(schema, { year: '2001 to 2025' }), /year must span at most 10 seasons/);
+    assert.throws(() => validateArgs(schema, { year: 'last 200000000 seasons' }), /year must span at most 10 seasons/);
+    assert.throws(() => validateArgs(schema, { year: 'someday' }), /year must be a season like/);
+  });
+
+  test('seasons outside what CFBD covers are refused', () => {
+    const next = currentSeason() + 1;
+    assert.equal(validateArgs(schema, { year: 2003 }).year, 2003);
+    assert.equal(validateArgs(schema, { year: next }).year, next);
+    for (const year of [0, 2002, next + 1, '1999 to 2004']) {
+      assert.throws(() => validateArgs(schema, { year }), /year must be a season from 2003 to/, String(year));
+    }
+  });
+
+  test('null arguments are treated as none', () => {
+    assert.deepEqual(validateArgs(schema, null), {});
+  });
+});
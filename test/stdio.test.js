@@ -0,0 +1,60 @@
+// stdio mode end to end: server.js --stdio against the CFBD fixture server.
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startFixtureServer } from './fixture-server.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+let fixtures;
+let dir;
+
+before(async () => {
+  fixtures = await startFixtureServer();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cfbd-stdio-'));
+});
+
+after(async () => {
+  await fixtures?.close();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Write messages to a fresh stdio server, close stdin, and collect the
+// replies in the order they were written until the process exits
+function runStdio(messages, env) {
+  const child = spawn(process.execPath, ['server.js', '--stdio'], {
+    cwd: ROOT,
+    env: { ...process.env, CFBD_BASE_URL: fixtures.url, CFBD_BASKETBALL_KEY: 'test-key', LOG_LEVEL: 'error', ...env },
+    stdio: ['pipe', 'pipe', 'inherit']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  for (const message of messages) child.stdin.write(`${JSON.stringify(message)}\n`);
+  child.stdin.end();
+  return new Promise(resolve => {
+    child.on('exit', code => resolve({ code, replies: output.trim().split('\n').map(line => JSON.parse(line)) }));
+  });
+}
+
+test('a slow tool call does not hold up a ping, and the cache is saved on exit', async () => {
+  const cacheFile = path.join(dir, 'cache.json');
+  // The roster request is rate limited for a second before it succeeds
+  fixtures.failNext(429, { retryAfter: 1, path: '/teams/roster' });
+
+  const { code, replies } = await runStdio([
+    { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'tests', version: '1.0.0' } } },
+    { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'get_basketball_roster', arguments: { team: 'Oklahoma', year: 2025 } } },
+    { jsonrpc: '2.0', id: 3, method: 'ping' }
+  ], { CACHE_FILE: cacheFile });
+
+  assert.equal(code, 0);
+  assert.deepEqual(replies.map(r => r.id), [1, 3, 2]);
+  assert.match(replies[2].result.content[0].text, /OKLAHOMA BASKETBALL ROSTER/);
+
+  const saved = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+  assert.ok(Object.keys(saved).some(key => key.startsWith('/teams/roster')));
+});
@@ -0,0 +1,186 @@
+import { cfbdGet } from '../lib/cfbd.js';
+import { teamProperty, yearProperty, teamAndSeason } from '../lib/args.js';
+import { seasonLabel } from '../lib/format.js';
+import { fetchSeasonGames, selectGame, localDate, isCompleted, gameData, gameSelectorProperties } from '../lib/games.js';
+import { sameTeam } from '../lib/teams.js';
+import { total } from '../lib/stats.js';
+import { objectOf, arrayOf, nullable, gameSchema, shootingSchema, seasonProperties } from '../lib/schemas.js';
+
+// Per-game stats for both teams, one request per side. The date window is
+// padded a day each way since CFBD dates are UTC; rows are matched by game id.
+async function fetchGameStats(endpoint, game) {
+  const day = new Date(game.startDate);
+  const offset = days => new Date(day.getTime() + days * 86400000).toISOString().slice(0, 10);
+  const sides = await Promise.all([game.homeTeam, game.awayTeam].map(team =>
+    cfbdGet(endpoint, {
+      team,
+      season: game.season,
+      startDateRange: offset(-1),
+      endDateRange: offset(1)
+    })
+  ));
+  return sides.flat().filter(row => row.gameId === game.id);
+}
+
+function shooting(split) {
+  return split ? `${split.made ?? 0}-${split.attempted ?? 0}` : '-';
+}
+
+function pad(value, width) {
+  return String(value ?? '-').padStart(width);
+}
+
+// Sum player lines when the team endpoint has no row for a side
+function totalsFromPlayers(players) {
+  const sum = (fn) => players.reduce((acc, p) => acc + (fn(p) || 0), 0);
+  const split = key => ({ made: sum(p => p[key]?.made), attempted: sum(p => p[key]?.attempted) });
+  return {
+    points: { total: sum(p => p.points) },
+    rebounds: { total: sum(p => p.rebounds?.total) },
+    assists: sum(p => p.assists),
+    steals: sum(p => p.steals),
+    blocks: sum(p => p.blocks),
+    turnovers: { total: sum(p => p.turnovers) },
+    fouls: { total: sum(p => p.fouls) },
+    fieldGoals: split('fieldGoals'),
+    threePointFieldGoals: split('threePointFieldGoals'),
+    freeThrows: split('freeThrows')
+  };
+}
+
+// Counting stats and shooting splits from one player or team-totals row
+function boxLine(row) {
+  const split = s => ({ made: s?.made ?? null, attempted: s?.attempted ?? null, pct: s?.attempted ? (s.made / s.attempted) * 100 : null });
+  return {
+    minutes: row.minutes ?? null,
+    points: total(row.points),
+    rebounds: total(row.rebounds),
+    offensiveRebounds: row.rebounds?.offensive ?? null,
+    assists: total(row.assists),
+    steals: total(row.steals),
+    blocks: total(row.blocks),
+    turnovers: total(row.turnovers),
+    fouls: total(row.fouls),
+    fieldGoals: split(row.fieldGoals),
+    threePointers: split(row.threePointFieldGoals),
+    freeThrows: split(row.freeThrows)
+  };
+}
+
+const num = nullable('number');
+const boxLineSchema = objectOf({
+  minutes: num,
+  points: num,
+  rebounds: num,
+  offensiveRebounds: num,
+  assists: num,
+  steals: num,
+  blocks: num,
+  turnovers: num,
+  fouls: num,
+  fieldGoals: shootingSchema,
+  threePointers: shootingSchema,
+  freeThrows: shootingSchema
+});
+
+function renderSide(name, players, totals) {
+  let text = `${name.toUpperCase()}\n`;
+  text += `${'Player'.padEnd(22)} MIN PTS REB AST STL BLK TO PF    FG   3PT    FT\n`;
+
+  const sorted = [...players].sort((a, b) => (b.starter - a.starter) || ((b.minutes || 0) - (a.minutes || 0)));
+  for (const p of sorted) {
+    const label = `${p.name}${p.starter ? '*' : ''}`.slice(0, 22).padEnd(22);
+    text += `${label} ${pad(p.minutes, 3)} ${pad(p.points, 3)} ${pad(p.rebounds?.total, 3)} ${pad(p.assists, 3)}`;
+    text += ` ${pad(p.steals, 3)} ${pad(p.blocks, 3)} ${pad(p.turnovers, 2)} ${pad(p.fouls, 2)}`;
+    text += ` ${pad(shooting(p.fieldGoals), 5)} ${pad(shooting(p.threePointFieldGoals), 5)} ${pad(shooting(p.freeThrows), 5)}\n`;
+  }
+
+  if (totals) {
+    text += `${'TEAM TOTALS'.padEnd(22)}     ${pad(totals.points?.total, 3)} ${pad(totals.rebounds?.total, 3)} ${pad(totals.assists, 3)}`;
+    text += ` ${pad(totals.steals, 3)} ${pad(totals.blocks, 3)} ${pad(totals.turnovers?.total, 2)} ${pad(totals.fouls?.total, 2)}`;
+    text += ` ${pad(shooting(totals.fieldGoals), 5)} ${pad(shooting(totals.threePointFieldGoals), 5)} ${pad(shooting(totals.freeThrows), 5)}\n`;
+
+    const pct = split => split?.attempted ? `${((split.made / split.attempted) * 100).toFixed(1)}%` : '-';
+    text += `FG ${pct(totals.fieldGoals)} · 3PT ${pct(totals.threePointFieldGoals)} · FT ${pct(totals.freeThrows)}`;
+    if (totals.rebounds?.offensive != null) {
+      text += ` · OREB ${totals.rebounds.offensive} / DREB ${totals.rebounds.defensive}`;
+    }
+    text += `\n`;
+  }
+
+  return text;
+}
+
+export default {
+  name: 'get_basketball_box_score',
+  description: 'Get the full box score for one game: player minutes, points, rebounds, assists, shooting splits and fouls, plus team totals. Pick the game by date, opponent or game id (default: most recent game).',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      year: yearProperty,
+      ...gameSelectorProperties
+    },
+    required: ['team']
+  },
+  outputSchema: objectOf({
+    ...seasonProperties,
+    game: gameSchema,
+    teams: arrayOf(objectOf({
+      team: { type: 'string' },
+      players: arrayOf(objectOf({
+        name: { type: 'string' },
+        starter: { type: 'boolean' },
+        ...boxLineSchema.properties
+      })),
+      totals: boxLineSchema
+    }))
+  }),
+
+  async handler(args) {
+    const { team, year } = await teamAndSeason(args);
+    const games = await fetchSeasonGames(team, year);
+
+    if (games.length === 0) {
+      return `No basketball games found for ${team.toUpperCase()} in the ${seasonLabel(year)} season`;
+    }
+
+    const game = await selectGame(games, { team, date: args.date, opponent: args.opponent, gameId: args.gameId });
+
+    if (!isCompleted(game)) {
+      return `${game.awayTeam} @ ${game.homeTeam} on ${localDate(game.startDate)} has not been played yet (status: ${game.status}).`;
+    }
+
+    const [playerRows, teamRows] = await Promise.all([
+      fetchGameStats('/games/players', game),
+      fetchGameStats('/games/teams', game)
+    ]);
+
+    if (playerRows.length === 0) {
+      return `No box score is available yet for ${game.awayTeam} @ ${game.homeTeam} on ${localDate(game.startDate)}.`;
+    }
+
+    let text = `🏀 BOX SCORE - ${game.awayTeam} @ ${game.homeTeam}\n`;
+    text += `${localDate(game.startDate)}${game.neutralSite ? ' (neutral site)' : ''} · Final\n`;
+    text += `${game.awayTeam} ${game.awayPoints}, ${game.homeTeam} ${game.homePoints}\n\n`;
+
+    // Requested team first
+    const sides = [game.homeTeam, game.awayTeam].sort((a, b) => sameTeam(b, team) - sameTeam(a, team));
+    const teams = [];
+    for (const side of sides) {
+      const players = playerRows.find(r => sameTeam(r.team, side))?.players || [];
+      const teamRow = teamRows.find(r => sameTeam(r.team, side));
+      const totals = teamRow?.teamStats || totalsFromPlayers(players);
+      text += renderSide(side, players, totals);
+      text += `\n`;
+      teams.push({
+        team: side,
+        players: players.map(p => ({ name: p.name, starter: Boolean(p.starter), ...boxLine(p) })),
+        totals: boxLine(totals)
+      });
+    }
+
+    text += `* starter · Game ID ${game.id}`;
+    return { text, data: { team, season: year, game: gameData(game, team), teams } };
+  }
+};
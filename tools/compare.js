@@ -0,0 +1,162 @@
+import { seasonProperty } from '../lib/args.js';
+import { cfbdGet } from '../lib/cfbd.js';
+import { ToolError } from '../lib/errors.js';
+import { seasonLabel, renderTable } from '../lib/format.js';
+import { lookupPlayer } from '../lib/players.js';
+import { currentSeason } from '../lib/seasons.js';
+import { playerLine, teamLine } from '../lib/stats.js';
+import { resolveTeamName } from '../lib/teams.js';
+import { objectOf, arrayOf, playerLineSchema, teamLineSchema } from '../lib/schemas.js';
+
+// Rows of the comparison table; `low` marks stats where less is better
+const PLAYER_METRICS = [
+  { key: 'games', label: 'Games', digits: 0 },
+  { key: 'minutes', label: 'MPG', digits: 1 },
+  { key: 'points', label: 'PPG', digits: 1 },
+  { key: 'rebounds', label: 'RPG', digits: 1 },
+  { key: 'assists', label: 'APG', digits: 1 },
+  { key: 'steals', label: 'SPG', digits: 1 },
+  { key: 'blocks', label: 'BPG', digits: 1 },
+  { key: 'turnovers', label: 'TOPG', digits: 1, low: true },
+  { key: 'fgPct', label: 'FG%', digits: 1 },
+  { key: 'threePct', label: '3PT%', digits: 1 },
+  { key: 'ftPct', label: 'FT%', digits: 1 },
+  { key: 'efgPct', label: 'eFG%', digits: 1 },
+  { key: 'tsPct', label: 'TS%', digits: 1 },
+  { key: 'astTo', label: 'AST/TO', digits: 2 },
+  { key: 'usage', label: 'Usage%', digits: 1 }
+];
+
+const TEAM_METRICS = [
+  { key: 'games', label: 'Games', digits: 0 },
+  { key: 'wins', label: 'Wins', digits: 0 },
+  { key: 'points', label: 'PPG', digits: 1 },
+  { key: 'oppPoints', label: 'Opp PPG', digits: 1, low: true },
+  { key: 'rebounds', label: 'RPG', digits: 1 },
+  { key: 'assists', label: 'APG', digits: 1 },
+  { key: 'steals', label: 'SPG', digits: 1 },
+  { key: 'blocks', label: 'BPG', digits: 1 },
+  { key: 'turnovers', label: 'TOPG', digits: 1, low: true },
+  { key: 'fgPct', label: 'FG%', digits: 1 },
+  { key: 'threePct', label: '3PT%', digits: 1 },
+  { key: 'ftPct', label: 'FT%', digits: 1 },
+  { key: 'efgPct', label: 'eFG%', digits: 1 },
+  { key: 'tsPct', label: 'TS%', digits: 1 },
+  { key: 'astTo', label: 'AST/TO', digits: 2 }
+];
+
+const playerItem = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, description: 'Player name' },
+    team: { type: 'string', minLength: 1, description: 'Player\'s team' },
+    year: seasonProperty
+  },
+  required: ['name', 'team']
+};
+
+const teamItem = {
+  type: 'object',
+  properties: {
+    team: { type: 'string', minLength: 1, description: 'Team name' },
+    year: seasonProperty
+  },
+  required: ['team']
+};
+
+async function loadPlayer({ name, team, year = currentSeason() }) {
+  const teamName = await resolveTeamName(team);
+  const data = await cfbdGet('/stats/player/season', { team: teamName, season: year });
+  const stats = (data || []).filter(p => p.season === year);
+  const match = await lookupPlayer(name, { team: teamName, year, stats });
+  if (!match?.stats) {
+    throw new ToolError(`No ${seasonLabel(year)} stats found for ${name} on ${teamName}`);
+  }
+  return { label: `${match.name} (${teamName} ${year})`, name: match.name, team: teamName, season: year, line: playerLine(match.stats) };
+}
+
+async function loadTeam({ team, year = currentSeason() }) {
+  const teamName = await resolveTeamName(team);
+  const data = await cfbdGet('/stats/team/season', { team: teamName, season: year });
+  const row = (data || []).find(t => t.season === year);
+  if (!row) {
+    throw new ToolError(`No ${seasonLabel(year)} team stats found for ${teamName}`);
+  }
+  return { label: `${teamName} ${year}`, team: teamName, season: year, line: teamLine(row) };
+}
+
+// Best value in each category (ties share it, and a category where everyone
+// is level has no leader), compared at display precision. Rows are the
+// table cells, leaders the entry indexes leading each stat, and lowerBetter
+// the labels of the rows where less is better.
+function buildRows(metrics, entries) {
+  const rows = [];
+  const leaders = {};
+  const shown = metrics.filter(m => entries.some(e => e.line[m.key] != null));
+  for (const m of shown) {
+    const values = entries.map(e => (e.line[m.key] == null ? null : Number(e.line[m.key].toFixed(m.digits))));
+    const present = values.filter(v => v != null);
+    const best = m.low ? Math.min(...present) : Math.max(...present);
+    const level = present.every(v => v === best);
+    const leads = v => v != null && present.length > 1 && !level && v === best;
+    leaders[m.key] = values.flatMap((v, i) => (leads(v) ? [i] : []));
+    rows.push([m.label, ...values.map(v => (v == null ? '-' : `${leads(v) ? '★' : ''}${v.toFixed(m.digits)}`))]);
+  }
+  return { rows, leaders, lowerBetter: shown.filter(m => m.low).map(m => m.label) };
+}
+
+// "A", "A and B", "A, B and C"
+function listText(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items.join('');
+}
+
+export default {
+  name: 'get_basketball_comparison',
+  description: 'Compare two or more players, or two or more teams, side by side: per-game stats, shooting splits and advanced rates, with the leader in each category marked. Players and teams may come from different seasons.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      players: { type: 'array', minItems: 2, maxItems: 6, items: playerItem, description: 'Players to compare, e.g. [{"name": "Jeremiah Fears", "team": "oklahoma"}, ...]' },
+      teams: { type: 'array', minItems: 2, maxItems: 6, items: teamItem, description: 'Teams to compare, e.g. [{"team": "oklahoma", "year": 2025}, ...]' }
+    }
+  },
+  outputSchema: objectOf({
+    kind: { type: 'string', enum: ['players', 'teams'] },
+    entries: arrayOf(objectOf({
+      label: { type: 'string' },
+      name: { type: 'string' },
+      team: { type: 'string' },
+      season: { type: 'integer' },
+      stats: { anyOf: [objectOf(playerLineSchema.properties), teamLineSchema] }
+    })),
+    leaders: { type: 'object', additionalProperties: arrayOf({ type: 'integer' }), description: 'Stat key → indexes of the leading entries' }
+  }),
+
+  async handler(args) {
+    if (!args.players === !args.teams) {
+      throw new ToolError('Provide either "players" or "teams" (two or more), not both');
+    }
+
+    const isPlayers = Boolean(args.players);
+    const entries = isPlayers
+      ? await Promise.all(args.players.map(loadPlayer))
+      : await Promise.all(args.teams.map(loadTeam));
+
+    const { rows, leaders, lowerBetter } = buildRows(isPlayers ? PLAYER_METRICS : TEAM_METRICS, entries);
+
+    let text = `🏀 ${isPlayers ? 'PLAYER' : 'TEAM'} COMPARISON\n\n`;
+    entries.forEach((e, i) => {
+      text += `${String.fromCharCode(65 + i)}: ${e.label}\n`;
+    });
+    text += `\n`;
+    text += renderTable(['', ...entries.map((_, i) => String.fromCharCode(65 + i))], rows);
+    text += `\n★ = category leader${lowerBetter.length > 0 ? ` (lower is better for ${listText(lowerBetter)})` : ''}`;
+
+    const data = {
+      kind: isPlayers ? 'players' : 'teams',
+      entries: entries.map(({ line, ...entry }) => ({ ...entry, stats: line })),
+      leaders
+    };
+    return { text, data };
+  }
+};
@@ -0,0 +1,144 @@
+import { teamProperty, seasonProperty, teamAndSeason } from '../lib/args.js';
+import { ToolError } from '../lib/errors.js';
+import { fetchSeasonGames, isCompleted, localDate, teamView, gameData } from '../lib/games.js';
+import { currentSeason } from '../lib/seasons.js';
+import { resolveTeamName, sameTeam } from '../lib/teams.js';
+import { objectOf, arrayOf, gameSchema } from '../lib/schemas.js';
+
+const recordSchema = arrayOf({ type: 'integer' });
+const streakSchema = objectOf({ team: { type: 'string' }, length: { type: 'integer' }, fromSeason: { type: 'integer' }, toSeason: { type: 'integer' } });
+
+const DEFAULT_SPAN = 20;
+const MAX_SPAN = 30;
+
+function streakText(streak, team, opponent) {
+  const winner = streak.result === 'W' ? team : opponent;
+  const from = streak.first.season;
+  const to = streak.last.season;
+  const seasons = from === to ? `${from}` : `${from}-${to}`;
+  return `${winner} won ${streak.length} straight (${seasons})`;
+}
+
+export default {
+  name: 'get_basketball_head_to_head',
+  description: 'Head-to-head history between two teams over a range of seasons: series record, home/neutral/away splits, average margin, longest streak and the most recent meetings',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      opponent: { type: 'string', minLength: 1, description: 'Opponent team name (e.g., "kansas")' },
+      startYear: { ...seasonProperty, description: `First season to include, e.g. 2015 or "2014-15" (default: ${DEFAULT_SPAN} seasons back)` },
+      endYear: { ...seasonProperty, description: 'Last season to include, e.g. 2025 or "last season" (default: current season)' },
+      last: { type: 'integer', minimum: 1, maximum: 25, default: 5, description: 'How many recent meetings to list (default: 5)' }
+    },
+    required: ['team', 'opponent']
+  },
+  outputSchema: objectOf({
+    team: { type: 'string' },
+    opponent: { type: 'string' },
+    startYear: { type: 'integer' },
+    endYear: { type: 'integer' },
+    meetings: { type: 'integer' },
+    wins: { type: 'integer' },
+    losses: { type: 'integer' },
+    splits: { ...objectOf({ home: recordSchema, away: recordSchema, neutral: recordSchema }), description: '[wins, losses] by venue' },
+    averageMargin: { type: 'number' },
+    longestStreak: streakSchema,
+    currentStreak: streakSchema,
+    recentMeetings: arrayOf(gameSchema)
+  }),
+
+  async handler(args) {
+    const { team } = await teamAndSeason(args);
+    const opponent = await resolveTeamName(args.opponent);
+    const endYear = args.endYear ?? currentSeason();
+    const startYear = args.startYear ?? endYear - DEFAULT_SPAN + 1;
+
+    if (sameTeam(team, opponent)) {
+      throw new ToolError('Pick two different teams for a head-to-head comparison');
+    }
+    if (startYear > endYear) {
+      throw new ToolError(`startYear (${startYear}) must not be after endYear (${endYear})`);
+    }
+    if (endYear - startYear + 1 > MAX_SPAN) {
+      throw new ToolError(`Season range is limited to ${MAX_SPAN} seasons at a time`);
+    }
+
+    const seasons = [];
+    for (let year = startYear; year <= endYear; year++) seasons.push(year);
+    const schedules = await Promise.all(seasons.map(year => fetchSeasonGames(team, year)));
+
+    const meetings = schedules
+      .flat()
+      .filter(g => isCompleted(g) && sameTeam(teamView(g, team).opponent, opponent))
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+    const range = startYear === endYear ? `${endYear}` : `${startYear}-${endYear}`;
+
+    if (meetings.length === 0) {
+      return `${team} and ${opponent} did not meet between the ${startYear} and ${endYear} seasons.`;
+    }
+
+    const splits = { home: [0, 0], away: [0, 0], neutral: [0, 0] };
+    let wins = 0;
+    let marginTotal = 0;
+    let longest = null;
+    let streak = null;
+
+    for (const game of meetings) {
+      const view = teamView(game, team);
+      const won = view.result === 'W';
+      const venue = game.neutralSite ? 'neutral' : view.isHome ? 'home' : 'away';
+      splits[venue][won ? 0 : 1]++;
+      if (won) wins++;
+      marginTotal += view.teamScore - view.oppScore;
+
+      if (streak && streak.result === view.result) {
+        streak.length++;
+        streak.last = game;
+      } else {
+        streak = { result: view.result, length: 1, first: game, last: game };
+      }
+      if (!longest || streak.length > longest.length) longest = { ...streak };
+    }
+
+    const losses = meetings.length - wins;
+    const avgMargin = marginTotal / meetings.length;
+    const series = wins === losses
+      ? `Series tied ${wins}-${losses}`
+      : `${wins > losses ? team : opponent} leads ${Math.max(wins, losses)}-${Math.min(wins, losses)}`;
+
+    let text = `🏀 ${team.toUpperCase()} vs ${opponent.toUpperCase()} - HEAD TO HEAD (${range})\n\n`;
+    text += `${series} (${meetings.length} meetings)\n`;
+    text += `${team} record: ${wins}-${losses}\n`;
+    text += `Home: ${splits.home.join('-')} · Away: ${splits.away.join('-')} · Neutral: ${splits.neutral.join('-')}\n`;
+    text += `Average margin: ${team} ${avgMargin >= 0 ? '+' : ''}${avgMargin.toFixed(1)} per game\n`;
+    text += `Longest streak: ${streakText(longest, team, opponent)}\n`;
+    text += `Current streak: ${streak.result === 'W' ? team : opponent} ${streak.length} in a row\n`;
+
+    const recent = meetings.slice(-args.last).reverse();
+    text += `\nLAST ${recent.length} MEETINGS:\n`;
+    for (const game of recent) {
+      const view = teamView(game, team);
+      const venue = game.neutralSite ? ' (neutral)' : '';
+      text += `${localDate(game.startDate)}  ${view.result} ${view.teamScore}-${view.oppScore} ${view.location} ${view.opponent}${venue}\n`;
+    }
+
+    const streakData = s => ({ team: s.result === 'W' ? team : opponent, length: s.length, fromSeason: s.first.season, toSeason: s.last.season });
+    const data = {
+      team,
+      opponent,
+      startYear,
+      endYear,
+      meetings: meetings.length,
+      wins,
+      losses,
+      splits,
+      averageMargin: avgMargin,
+      longestStreak: streakData(longest),
+      currentStreak: streakData(streak),
+      recentMeetings: recent.map(g => gameData(g, team))
+    };
+    return { text, data };
+  }
+};
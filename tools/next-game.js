@@ -0,0 +1,105 @@
+import { teamProperty, yearProperty, teamAndSeason } from '../lib/args.js';
+import { seasonLabel } from '../lib/format.js';
+import {
+  fetchSeasonGames,
+  fetchActiveSeasonGames,
+  fetchBroadcasts,
+  upcomingGames,
+  latestCompleted,
+  teamView,
+  gameData,
+  statusText,
+  gameState,
+  formatTipoff,
+  formatVenue,
+  daysBetween,
+  resolveTimeZone,
+  timeZoneProperty
+} from '../lib/games.js';
+import { objectOf, arrayOf, nullable, orNull, gameSchema, seasonProperties } from '../lib/schemas.js';
+
+function daysText(days) {
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+export default {
+  name: 'get_basketball_next_game',
+  description: 'Get a team\'s next game (or next N games) with date, tip time, venue and TV, plus how long it has been since the last game',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      year: yearProperty,
+      count: { type: 'integer', minimum: 1, maximum: 10, default: 1, description: 'How many upcoming games to list (default: 1)' },
+      timeZone: timeZoneProperty
+    },
+    required: ['team']
+  },
+  outputSchema: objectOf({
+    ...seasonProperties,
+    timeZone: { type: 'string' },
+    games: arrayOf(objectOf({ ...gameSchema.properties, daysUntil: { type: 'integer' } }, gameSchema.required)),
+    lastGame: orNull(gameSchema),
+    daysSinceLastGame: nullable('integer')
+  }),
+
+  async handler(args) {
+    const season = await teamAndSeason(args);
+    const { team } = season;
+    const timeZone = resolveTimeZone(args.timeZone);
+    // No year given: look ahead to next season once this one is over
+    const { year, games } = args.year === undefined
+      ? await fetchActiveSeasonGames(team, season.year)
+      : { year: season.year, games: await fetchSeasonGames(team, season.year) };
+
+    if (games.length === 0) {
+      return `No basketball games found for ${team.toUpperCase()} in the ${seasonLabel(year)} season`;
+    }
+
+    const now = new Date();
+    const upcoming = upcomingGames(games, now, timeZone).slice(0, args.count);
+    const last = latestCompleted(games);
+    const broadcasts = upcoming.length > 0 ? await fetchBroadcasts(team, year) : new Map();
+
+    let text = `🏀 ${team.toUpperCase()} - ${upcoming.length > 1 ? `NEXT ${upcoming.length} GAMES` : 'NEXT GAME'}\n`;
+    text += `Times: ${timeZone}\n\n`;
+
+    if (upcoming.length === 0) {
+      text += `No upcoming games on the ${seasonLabel(year)} schedule.\n`;
+    }
+
+    for (const game of upcoming) {
+      const view = teamView(game, team);
+      const state = gameState(game);
+      text += `${formatTipoff(game, timeZone)}  ${view.location} ${view.opponent}${view.neutral ? ' (N)' : ''}`;
+      text += state === 'scheduled' ? ` (${daysText(daysBetween(now, game.startDate, timeZone))})` : statusText(game, view);
+      text += `\n`;
+
+      const details = [formatVenue(game), broadcasts.get(game.id) || game.tv].filter(Boolean);
+      if (details.length > 0) text += `   ${details.join(' · ')}\n`;
+    }
+
+    const days = last ? daysBetween(last.startDate, now, timeZone) : null;
+    if (last) {
+      const view = teamView(last, team);
+      text += `\nLast game: ${view.result} ${view.teamScore}-${view.oppScore} ${view.location} ${view.opponent}`;
+      text += `, ${days === 0 ? 'today' : `${days} day${days === 1 ? '' : 's'} ago`}\n`;
+    }
+
+    const data = {
+      team,
+      season: year,
+      timeZone,
+      games: upcoming.map(game => ({
+        ...gameData(game, team),
+        tv: broadcasts.get(game.id) || game.tv || null,
+        daysUntil: daysBetween(now, game.startDate, timeZone)
+      })),
+      lastGame: last ? gameData(last, team) : null,
+      daysSinceLastGame: days
+    };
+    return { text, data };
+  }
+};
@@ -0,0 +1,148 @@
+import { teamProperty, yearProperty, teamAndSeason } from '../lib/args.js';
+import { seasonLabel } from '../lib/format.js';
+import { fetchSeasonGames, selectGame, localDate, gameState, gameData, gameSelectorProperties } from '../lib/games.js';
+import {
+  fetchPlays,
+  scoringPlays,
+  scoringRuns,
+  leadSummary,
+  finalMinutes,
+  playerTimelines,
+  periodLabel,
+  scoreLine
+} from '../lib/plays.js';
+
+import { objectOf, arrayOf, nullable, gameSchema, seasonProperties } from '../lib/schemas.js';
+
+const MAX_FINAL_PLAYS = 40;
+
+const playSchema = objectOf({
+  clock: { type: 'string' },
+  homeScore: nullable('integer'),
+  awayScore: nullable('integer'),
+  description: nullable('string')
+});
+
+const leadSchema = objectOf({ margin: { type: 'integer' }, clock: nullable('string') });
+
+function playData(play) {
+  return { clock: periodLabel(play), homeScore: play.homeScore ?? null, awayScore: play.awayScore ?? null, description: play.playText ?? null };
+}
+
+export default {
+  name: 'get_basketball_play_by_play',
+  description: 'Summarize one game\'s play-by-play: scoring runs, lead changes, times tied, largest leads, the last five minutes and each player\'s scoring timeline. Pick the game by date, opponent or game id (default: most recent game).',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      year: yearProperty,
+      ...gameSelectorProperties,
+      minRun: { type: 'integer', minimum: 4, default: 8, description: 'Smallest unanswered run to report (default: 8)' }
+    },
+    required: ['team']
+  },
+  outputSchema: objectOf({
+    ...seasonProperties,
+    game: gameSchema,
+    clock: { type: 'string' },
+    leadChanges: { type: 'integer' },
+    timesTied: { type: 'integer' },
+    largestLead: objectOf({ home: leadSchema, away: leadSchema }),
+    runs: arrayOf(objectOf({ team: { type: 'string' }, points: { type: 'integer' }, from: { type: 'string' }, to: { type: 'string' } })),
+    finalMinutes: arrayOf(playSchema),
+    playerTimelines: arrayOf(objectOf({
+      name: { type: 'string' },
+      team: nullable('string'),
+      points: { type: 'integer' },
+      baskets: arrayOf(objectOf({ clock: { type: 'string' }, points: { type: 'integer' }, total: { type: 'integer' } }))
+    }))
+  }),
+
+  async handler(args) {
+    const { team, year } = await teamAndSeason(args);
+    const games = await fetchSeasonGames(team, year);
+
+    if (games.length === 0) {
+      return `No basketball games found for ${team.toUpperCase()} in the ${seasonLabel(year)} season`;
+    }
+
+    const game = await selectGame(games, { team, date: args.date, opponent: args.opponent, gameId: args.gameId });
+    const plays = await fetchPlays(game.id, { live: gameState(game) === 'live' });
+
+    if (plays.length === 0) {
+      return `No play-by-play is available for ${game.awayTeam} @ ${game.homeTeam} on ${localDate(game.startDate)}.`;
+    }
+
+    const scores = scoringPlays(plays);
+    const names = { home: game.homeTeam, away: game.awayTeam };
+    const last = plays[plays.length - 1];
+    // Timeouts and period ends carry no score; use the latest play that does
+    const scored = plays.filter(p => p.homeScore != null && p.awayScore != null).pop();
+    const homePoints = scored?.homeScore ?? game.homePoints ?? null;
+    const awayPoints = scored?.awayScore ?? game.awayPoints ?? null;
+
+    let text = `🏀 PLAY-BY-PLAY - ${game.awayTeam} @ ${game.homeTeam}\n`;
+    text += `${localDate(game.startDate)} · ${gameState(game) === 'final' ? 'Final' : `${periodLabel(last)} (${game.status})`}\n`;
+    text += `${game.awayTeam} ${awayPoints}, ${game.homeTeam} ${homePoints}\n\n`;
+
+    // Lead flow
+    const { leadChanges, timesTied, largest } = leadSummary(scores);
+    text += `Lead changes: ${leadChanges} · Times tied: ${timesTied}\n`;
+    for (const side of ['away', 'home']) {
+      const lead = largest[side];
+      text += lead.at
+        ? `Largest ${names[side]} lead: ${lead.margin} (${scoreLine(lead.at.play)}, ${periodLabel(lead.at.play)})\n`
+        : `${names[side]} never led\n`;
+    }
+
+    // Runs
+    const runs = scoringRuns(scores, args.minRun);
+    text += `\nSCORING RUNS (${args.minRun}+ unanswered):\n`;
+    if (runs.length === 0) text += `None\n`;
+    for (const run of runs) {
+      text += `• ${names[run.side]} ${run.points}-0 run, ${periodLabel(run.start.play)} to ${periodLabel(run.end.play)}`;
+      text += ` (made it ${scoreLine(run.end.play)})\n`;
+    }
+
+    // Closing stretch
+    const closing = finalMinutes(plays);
+    text += `\nLAST 5 MINUTES:\n`;
+    if (closing.length === 0) text += `No plays recorded\n`;
+    if (closing.length > MAX_FINAL_PLAYS) text += `(last ${MAX_FINAL_PLAYS} of ${closing.length} plays)\n`;
+    for (const play of closing.slice(-MAX_FINAL_PLAYS)) {
+      text += `${periodLabel(play).padEnd(10)} ${scoreLine(play).padStart(7)}  ${play.playText}\n`;
+    }
+
+    // Who scored when
+    const timelines = playerTimelines(scores);
+    text += `\nPLAYER SCORING TIMELINES:\n`;
+    for (const player of timelines) {
+      text += `${player.name} (${player.team}) - ${player.points} pts: `;
+      text += player.events.map(e => `${e.at} +${e.points}`).join(', ');
+      text += `\n`;
+    }
+
+    text += `\nScores shown away-home · Game ID ${game.id}`;
+
+    const lead = side => ({ margin: largest[side].margin, clock: largest[side].at ? periodLabel(largest[side].at.play) : null });
+    const data = {
+      team,
+      season: year,
+      game: { ...gameData(game, team), homePoints, awayPoints },
+      clock: gameState(game) === 'final' ? 'Final' : periodLabel(last),
+      leadChanges,
+      timesTied,
+      largestLead: { home: lead('home'), away: lead('away') },
+      runs: runs.map(run => ({ team: names[run.side], points: run.points, from: periodLabel(run.start.play), to: periodLabel(run.end.play) })),
+      finalMinutes: closing.slice(-MAX_FINAL_PLAYS).map(playData),
+      playerTimelines: timelines.map(p => ({
+        name: p.name,
+        team: p.team ?? null,
+        points: p.points,
+        baskets: p.events.map(e => ({ clock: e.at, points: e.points, total: e.total }))
+      }))
+    };
+    return { text, data };
+  }
+};
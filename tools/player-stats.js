@@ -0,0 +1,196 @@
+import { cfbdGet } from '../lib/cfbd.js';
+import { teamProperty, yearProperty, queryProperty, conferenceOnlyProperty, teamAndSeason } from '../lib/args.js';
+import { seasonLabel, currentSeasonHint } from '../lib/format.js';
+import { log } from '../lib/logger.js';
+import { lookupPlayer } from '../lib/players.js';
+import { conferencePlayerLines, conferenceTeamLine } from '../lib/splits.js';
+import { playerLine, advancedPlayer } from '../lib/stats.js';
+import { objectOf, arrayOf, orNull, playerLineSchema, advancedPlayerSchema, seasonProperties } from '../lib/schemas.js';
+
+// Stats the leaderboard can rank by; `low` marks stats where less is better
+const METRICS = {
+  points: { label: 'PPG', digits: 1 },
+  rebounds: { label: 'RPG', digits: 1 },
+  assists: { label: 'APG', digits: 1 },
+  steals: { label: 'SPG', digits: 1 },
+  blocks: { label: 'BPG', digits: 1 },
+  minutes: { label: 'MPG', digits: 1 },
+  fgPct: { label: 'FG%', digits: 1 },
+  threePct: { label: '3PT%', digits: 1 },
+  ftPct: { label: 'FT%', digits: 1 },
+  tsPct: { label: 'TS%', digits: 1 },
+  efgPct: { label: 'eFG%', digits: 1 },
+  usage: { label: 'Usage%', digits: 1 },
+  astPct: { label: 'AST%', digits: 1 },
+  tovPct: { label: 'TOV%', digits: 1, low: true },
+  orbPct: { label: 'ORB%', digits: 1 },
+  drbPct: { label: 'DRB%', digits: 1 },
+  trbPct: { label: 'TRB%', digits: 1 },
+  rating: { label: 'Rating', digits: 1 },
+  pts40: { label: 'PTS/40', digits: 1 },
+  reb40: { label: 'REB/40', digits: 1 },
+  ast40: { label: 'AST/40', digits: 1 }
+};
+
+const fmt = (value, digits = 1, suffix = '') => (value == null ? '-' : `${value.toFixed(digits)}${suffix}`);
+
+// Basic per-game line merged with advanced rates, keyed like METRICS
+function fullLine(player, teamRow) {
+  const basic = playerLine(player);
+  const advanced = advancedPlayer(player, teamRow);
+  return { ...basic, ...advanced, minutes: basic.minutes, usage: advanced.usage ?? basic.usage };
+}
+
+// The team's own season line, needed for usage and rebound/assist shares
+async function fetchTeamRow(team, year, conferenceOnly) {
+  try {
+    if (conferenceOnly) return await conferenceTeamLine(team, year);
+    const data = await cfbdGet('/stats/team/season', { team, season: year });
+    return (data || []).find(t => t.season === year) || null;
+  } catch (err) {
+    log.warn('Team totals unavailable', { team, error: err.message });
+    return null;
+  }
+}
+
+export default {
+  name: 'get_basketball_player_stats',
+  description: 'Get individual basketball player statistics for a team. A named player gets per-game, shooting and advanced stats (usage, true shooting, assist/turnover/rebound rates, per-40, rating); leaderboard ranks the roster by any of them',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      year: yearProperty,
+      query: queryProperty,
+      conferenceOnly: conferenceOnlyProperty,
+      leaderboard: { type: 'string', enum: Object.keys(METRICS), description: 'Rank the roster by this stat instead of listing top scorers' },
+      minGames: { type: 'integer', minimum: 0, default: 5, description: 'Leaderboard: minimum games played (default: 5)' },
+      minMinutes: { type: 'number', minimum: 0, default: 10, description: 'Leaderboard: minimum minutes per game (default: 10)' },
+      limit: { type: 'integer', minimum: 1, maximum: 25, default: 10, description: 'Leaderboard: how many players to list (default: 10)' }
+    },
+    required: ['team']
+  },
+  outputSchema: objectOf({
+    ...seasonProperties,
+    conferenceOnly: { type: 'boolean' },
+    player: { ...orNull(objectOf({ ...playerLineSchema.properties, advanced: advancedPlayerSchema })), description: 'The player asked for by query' },
+    leaderboard: orNull(objectOf({
+      stat: { type: 'string' },
+      minGames: { type: 'integer' },
+      minMinutes: { type: 'number' },
+      players: arrayOf(objectOf({ rank: { type: 'integer' }, name: { type: 'string' }, value: { type: 'number' } }))
+    })),
+    topScorers: arrayOf(playerLineSchema)
+  }),
+
+  async handler(args) {
+    const { team, year } = await teamAndSeason(args);
+    const data = args.conferenceOnly
+      ? await conferencePlayerLines(team, year)
+      : await cfbdGet('/stats/player/season', { team, season: year });
+
+    if (!data || data.length === 0) {
+      return `No player stats found for ${team.toUpperCase()} basketball in the ${seasonLabel(year)} season`;
+    }
+
+    // Filter to requested season
+    const seasonData = data.filter(p => p.season === year);
+
+    if (seasonData.length === 0) {
+      return `No player stats found for ${team.toUpperCase()} basketball in the ${seasonLabel(year)} season.\n\n${currentSeasonHint()}`;
+    }
+
+    const scope = args.conferenceOnly ? ' (Conference Games)' : '';
+
+    // Look up a specific player if one was asked for
+    let player = null;
+    if (args.query) {
+      const match = await lookupPlayer(args.query, { team, year, stats: seasonData });
+
+      if (!match) {
+        return `${args.query} is not listed in ${team.toUpperCase()}'s ${seasonLabel(year)} basketball roster.\n\nThis player may:\n• Play for a different team\n• Not have recorded stats this season\n• Have a different spelling of their name`;
+      }
+      if (!match.stats) {
+        return `${match.name} is on ${team.toUpperCase()}'s ${seasonLabel(year)} roster but has no recorded stats this season.`;
+      }
+      player = match.stats;
+    }
+
+    let text = '';
+    const result = { team, season: year, conferenceOnly: args.conferenceOnly, player: null, leaderboard: null, topScorers: [] };
+
+    // If specific player, show detailed stats
+    if (player) {
+      const games = player.games || 1;
+
+      text = `🏀 ${player.name?.toUpperCase() || 'PLAYER'} - ${seasonLabel(year)}${scope}\n\n`;
+
+      text += `Games: ${player.games}\n`;
+      if (player.points) text += `Points Per Game: ${(player.points / games).toFixed(1)}\n`;
+      if (player.rebounds) text += `Rebounds Per Game: ${(player.rebounds.total / games).toFixed(1)}\n`;
+      if (player.assists) text += `Assists Per Game: ${(player.assists / games).toFixed(1)}\n`;
+      if (player.fieldGoals?.pct) text += `FG%: ${player.fieldGoals.pct.toFixed(1)}%\n`;
+      if (player.threePointFieldGoals?.pct) text += `3PT%: ${player.threePointFieldGoals.pct.toFixed(1)}%\n`;
+      if (player.freeThrows?.pct) text += `FT%: ${player.freeThrows.pct.toFixed(1)}%\n`;
+
+      const adv = advancedPlayer(player, await fetchTeamRow(team, year, args.conferenceOnly));
+      text += `\nADVANCED:\n`;
+      text += `Minutes Per Game: ${fmt(adv.minutes / games)}\n`;
+      text += `Usage Rate: ${fmt(adv.usage, 1, '%')}\n`;
+      text += `True Shooting: ${fmt(adv.tsPct, 1, '%')} · eFG: ${fmt(adv.efgPct, 1, '%')}\n`;
+      text += `Assist Rate: ${fmt(adv.astPct, 1, '%')} · Turnover Rate: ${fmt(adv.tovPct, 1, '%')}\n`;
+      text += `Rebound Rate: ${fmt(adv.orbPct, 1, '%')} off · ${fmt(adv.drbPct, 1, '%')} def · ${fmt(adv.trbPct, 1, '%')} total\n`;
+      text += `Per 40: ${fmt(adv.pts40)} pts · ${fmt(adv.reb40)} reb · ${fmt(adv.ast40)} ast · ${fmt(adv.stl40)} stl · ${fmt(adv.blk40)} blk\n`;
+      text += `Rating (Game Score per 40): ${fmt(adv.rating)}\n`;
+      if (adv.offRtg != null) {
+        text += `Off/Def Rating: ${fmt(adv.offRtg)} / ${fmt(adv.defRtg)}\n`;
+      }
+
+      result.player = { name: player.name, ...playerLine(player), advanced: adv };
+    } else if (args.leaderboard) {
+      const metric = METRICS[args.leaderboard];
+      const teamRow = await fetchTeamRow(team, year, args.conferenceOnly);
+
+      const ranked = seasonData
+        .filter(p => (p.games || 0) >= args.minGames && (p.minutes || 0) / (p.games || 1) >= args.minMinutes)
+        .map(p => ({ name: p.name, value: fullLine(p, teamRow)[args.leaderboard] }))
+        .filter(r => r.value != null)
+        .sort((a, b) => (metric.low ? a.value - b.value : b.value - a.value))
+        .slice(0, args.limit);
+
+      text = `🏀 ${team.toUpperCase()} ${metric.label} LEADERS - ${seasonLabel(year)}${scope}\n`;
+      text += `(min ${args.minGames} games, ${args.minMinutes} MPG)\n\n`;
+
+      if (ranked.length === 0) {
+        text += `No players meet the minimums. Try lowering minGames or minMinutes.\n`;
+      }
+      ranked.forEach((r, i) => {
+        text += `${i + 1}. ${r.name}: ${r.value.toFixed(metric.digits)}\n`;
+      });
+
+      result.leaderboard = {
+        stat: args.leaderboard,
+        minGames: args.minGames,
+        minMinutes: args.minMinutes,
+        players: ranked.map((r, i) => ({ rank: i + 1, ...r }))
+      };
+    } else {
+      // Show top scorers
+      text = `🏀 ${team.toUpperCase()} BASKETBALL LEADERS - ${seasonLabel(year)}${scope}\n\n`;
+
+      const topScorers = seasonData
+        .filter(p => p.games > 0)
+        .sort((a, b) => (b.points / b.games) - (a.points / a.games))
+        .slice(0, 5);
+
+      text += `TOP SCORERS:\n`;
+      topScorers.forEach((p, i) => {
+        text += `${i + 1}. ${p.name}: ${(p.points / p.games).toFixed(1)} PPG\n`;
+      });
+
+      result.topScorers = topScorers.map(p => ({ name: p.name, ...playerLine(p) }));
+    }
+
+    return { text, data: result };
+  }
+};
@@ -0,0 +1,196 @@
+import { cfbdGet } from '../lib/cfbd.js';
+import { teamProperty, yearProperty, teamAndSeason } from '../lib/args.js';
+import { seasonLabel } from '../lib/format.js';
+import { sameTeam } from '../lib/teams.js';
+import { objectOf, arrayOf, nullable, seasonProperties } from '../lib/schemas.js';
+
+const pollEntrySchema = objectOf({
+  week: { type: 'integer' },
+  postseason: { type: 'boolean' },
+  team: { type: 'string' },
+  rank: nullable('integer'),
+  points: nullable('number'),
+  firstPlaceVotes: nullable('integer')
+});
+
+// One poll week for structured output; rank is null when unranked
+function entryData(w, team) {
+  return {
+    week: w.week,
+    postseason: w.postseason,
+    team: w.entry?.team ?? team,
+    rank: w.entry?.rank ?? null,
+    points: w.entry?.points ?? null,
+    firstPlaceVotes: w.entry?.firstPlaceVotes ?? null
+  };
+}
+
+// Flatten CFBD poll rows into { poll, week, postseason, team, rank, points, firstPlaceVotes }.
+// Handles the flat basketball shape and the nested { polls: [{ poll, ranks }] } shape.
+function normalizeRankings(data) {
+  const rows = [];
+  for (const entry of data || []) {
+    if (Array.isArray(entry.polls)) {
+      for (const poll of entry.polls) {
+        for (const r of poll.ranks || []) {
+          rows.push({
+            poll: poll.poll,
+            week: entry.week ?? 0,
+            postseason: entry.seasonType === 'postseason',
+            team: r.school || r.team,
+            rank: r.rank,
+            points: r.points ?? null,
+            firstPlaceVotes: r.firstPlaceVotes ?? null
+          });
+        }
+      }
+    } else if (entry.pollType && entry.ranking != null) {
+      rows.push({
+        poll: entry.pollType,
+        week: entry.week ?? 0,
+        postseason: entry.seasonType === 'postseason',
+        team: entry.team,
+        rank: entry.ranking,
+        points: entry.points ?? null,
+        firstPlaceVotes: entry.firstPlaceVotes ?? null
+      });
+    }
+  }
+  return rows;
+}
+
+// Poll weeks in order; the postseason (final) poll sorts last
+function weekOrder(a, b) {
+  return (a.postseason - b.postseason) || (a.week - b.week);
+}
+
+function weekName(w, first) {
+  if (w.postseason) return 'Final';
+  if (w.week === first.week && !first.postseason) return `Preseason`;
+  return `Week ${w.week}`;
+}
+
+function pollMatches(poll, filter) {
+  return !filter || poll.toLowerCase().includes(filter.toLowerCase());
+}
+
+// Unique poll weeks for one poll, each with the team's row (or null if unranked)
+function trajectory(rows, poll, team) {
+  const weeks = new Map();
+  for (const r of rows.filter(r => r.poll === poll)) {
+    const key = `${r.postseason ? 'p' : 'r'}${r.week}`;
+    if (!weeks.has(key)) weeks.set(key, { week: r.week, postseason: r.postseason, entry: null });
+    if (sameTeam(r.team, team)) weeks.get(key).entry = r;
+  }
+  return [...weeks.values()].sort(weekOrder);
+}
+
+function renderTrajectory(poll, weeks) {
+  const first = weeks[0];
+  const ranked = weeks.filter(w => w.entry);
+  const latest = weeks[weeks.length - 1];
+  const peak = ranked.reduce((best, w) => (!best || w.entry.rank < best.entry.rank ? w : best), null);
+  const rankText = w => (w.entry ? `#${w.entry.rank}` : 'NR');
+
+  let text = `${poll.toUpperCase()}\n`;
+  text += `Preseason: ${rankText(first)} · Peak: ${rankText(peak)} (${weekName(peak, first)}) · Latest: ${rankText(latest)} (${weekName(latest, first)})\n`;
+  text += `Weeks ranked: ${ranked.length} of ${weeks.length}\n`;
+
+  // Weekly moves; entering or leaving the poll counts from/to one spot past the bottom
+  const size = 26;
+  let rise = null;
+  let fall = null;
+  for (let i = 1; i < weeks.length; i++) {
+    const before = weeks[i - 1].entry?.rank ?? size;
+    const after = weeks[i].entry?.rank ?? size;
+    const move = { change: before - after, from: weeks[i - 1], to: weeks[i] };
+    if (move.change > 0 && (!rise || move.change > rise.change)) rise = move;
+    if (move.change < 0 && (!fall || move.change < fall.change)) fall = move;
+  }
+  const moveText = m => `${m.change > 0 ? '+' : ''}${m.change} (${weekName(m.from, first)} ${rankText(m.from)} → ${weekName(m.to, first)} ${rankText(m.to)})`;
+  if (rise) text += `Biggest rise: ${moveText(rise)}\n`;
+  if (fall) text += `Biggest fall: ${moveText(fall)}\n`;
+
+  text += `Week by week:\n`;
+  for (const w of weeks) {
+    text += `  ${weekName(w, first).padEnd(10)} ${rankText(w).padStart(3)}`;
+    if (w.entry?.points != null) text += `  ${w.entry.points} pts`;
+    if (w.entry?.firstPlaceVotes) text += `, ${w.entry.firstPlaceVotes} first-place`;
+    text += `\n`;
+  }
+  return text;
+}
+
+export default {
+  name: 'get_basketball_rankings',
+  description: 'Get basketball poll rankings (AP Poll, Coaches Poll, NET when available): a team\'s week-by-week trajectory with preseason and peak rank, weeks ranked, votes and biggest moves, or the full top 25 for one week',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      year: yearProperty,
+      week: { type: 'integer', minimum: 0, description: 'List the whole poll for this week instead of the team\'s trajectory' },
+      poll: { type: 'string', description: 'Only this poll (e.g., "AP", "Coaches")' }
+    },
+    required: ['team']
+  },
+  outputSchema: objectOf({
+    ...seasonProperties,
+    week: { ...nullable('integer'), description: 'Set when a single week\'s poll was asked for' },
+    polls: arrayOf(objectOf({
+      poll: { type: 'string' },
+      entries: { ...arrayOf(pollEntrySchema), description: 'The week\'s full poll, or the team\'s week-by-week trajectory' }
+    }))
+  }),
+
+  async handler(args) {
+    const { team, year } = await teamAndSeason(args);
+    const data = await cfbdGet('/rankings', { season: year });
+    const rows = normalizeRankings(data).filter(r => pollMatches(r.poll, args.poll));
+    const polls = [...new Set(rows.map(r => r.poll))];
+
+    if (polls.length === 0) {
+      return `No ${args.poll ? `${args.poll} ` : ''}poll data found for the ${seasonLabel(year)} basketball season.`;
+    }
+
+    // Top 25 for one week
+    if (args.week !== undefined) {
+      let text = `🏀 TOP 25 - WEEK ${args.week}, ${seasonLabel(year)}\n`;
+      const weekPolls = [];
+      for (const poll of polls) {
+        const ranks = rows
+          .filter(r => r.poll === poll && r.week === args.week && !r.postseason)
+          .sort((a, b) => a.rank - b.rank);
+        if (ranks.length === 0) continue;
+        weekPolls.push({ poll, entries: ranks.map(({ poll, ...r }) => r) });
+        text += `\n${poll.toUpperCase()}\n`;
+        for (const r of ranks) {
+          const marker = sameTeam(r.team, team) ? ' ◀' : '';
+          text += `${String(r.rank).padStart(2)}. ${r.team}`;
+          if (r.firstPlaceVotes) text += ` (${r.firstPlaceVotes})`;
+          if (r.points != null) text += ` - ${r.points} pts`;
+          text += `${marker}\n`;
+        }
+      }
+      if (weekPolls.length === 0) return `No poll was released for week ${args.week} of the ${seasonLabel(year)} season.`;
+      return { text, data: { team, season: year, week: args.week, polls: weekPolls } };
+    }
+
+    // Team trajectory across the season
+    if (!rows.some(r => sameTeam(r.team, team))) {
+      return `${team.toUpperCase()} was not ranked at any point during the ${seasonLabel(year)} basketball season.`;
+    }
+
+    let text = `🏀 ${team.toUpperCase()} BASKETBALL RANKINGS - ${seasonLabel(year)}\n`;
+    const trajectories = [];
+    for (const poll of polls) {
+      const weeks = trajectory(rows, poll, team);
+      trajectories.push({ poll, entries: weeks.map(w => entryData(w, team)) });
+      text += `\n`;
+      text += weeks.some(w => w.entry)
+        ? renderTrajectory(poll, weeks)
+        : `${poll.toUpperCase()}\nNot ranked this season\n`;
+    }
+    return { text, data: { team, season: year, week: null, polls: trajectories } };
+  }
+};
@@ -0,0 +1,68 @@
+import { cfbdGet } from '../lib/cfbd.js';
+import { teamProperty, yearProperty, teamAndSeason } from '../lib/args.js';
+import { seasonLabel, currentSeasonHint } from '../lib/format.js';
+import { objectOf, arrayOf, nullable, seasonProperties } from '../lib/schemas.js';
+
+export default {
+  name: 'get_basketball_roster',
+  description: 'Get current team roster',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      year: yearProperty
+    },
+    required: ['team']
+  },
+  outputSchema: objectOf({
+    ...seasonProperties,
+    players: arrayOf(objectOf({
+      name: { type: 'string' },
+      position: nullable('string'),
+      jersey: { type: ['string', 'integer', 'null'] },
+      height: { ...nullable('integer'), description: 'Inches' },
+      weight: nullable('integer')
+    }, ['name']))
+  }),
+
+  async handler(args) {
+    const { team, year } = await teamAndSeason(args);
+    const data = await cfbdGet('/teams/roster', { team, season: year });
+
+    // Roster returns array with one object containing players array
+    if (!data || data.length === 0 || !data[0] || !data[0].players || data[0].players.length === 0) {
+      return `No roster found for ${team.toUpperCase()} basketball in the ${seasonLabel(year)} season`;
+    }
+
+    const rosterData = data[0];
+
+    // Filter to requested season
+    if (rosterData.season !== year) {
+      return `No roster found for ${team.toUpperCase()} basketball in the ${seasonLabel(year)} season.\n\n${currentSeasonHint()}`;
+    }
+
+    let text = `🏀 ${team.toUpperCase()} BASKETBALL ROSTER - ${seasonLabel(year)}\n\n`;
+
+    rosterData.players.forEach((player, idx) => {
+      text += `${idx + 1}. ${player.name}`;
+      if (player.position) text += ` - ${player.position}`;
+      if (player.jersey) text += ` (#${player.jersey})`;
+      if (player.height) {
+        // Convert inches to feet-inches (e.g., 82 → 6'10")
+        const feet = Math.floor(player.height / 12);
+        const inches = player.height % 12;
+        text += ` - ${feet}'${inches}"`;
+      }
+      text += `\n`;
+    });
+
+    const players = rosterData.players.map(p => ({
+      name: p.name,
+      position: p.position ?? null,
+      jersey: p.jersey ?? null,
+      height: p.height ?? null,
+      weight: p.weight ?? null
+    }));
+    return { text, data: { team, season: year, players } };
+  }
+};
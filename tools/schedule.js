@@ -0,0 +1,93 @@
+import { cfbdGet } from '../lib/cfbd.js';
+import { teamProperty, yearProperty, conferenceOnlyProperty, teamAndSeason } from '../lib/args.js';
+import { seasonLabel, currentSeasonHint } from '../lib/format.js';
+import { currentSeason } from '../lib/seasons.js';
+import {
+  teamView,
+  gameData,
+  statusText,
+  formatTipoff,
+  formatVenue,
+  daysBetween,
+  fetchBroadcasts,
+  latestCompleted,
+  resolveTimeZone,
+  timeZoneProperty
+} from '../lib/games.js';
+import { objectOf, arrayOf, nullable, gameSchema, seasonProperties } from '../lib/schemas.js';
+
+export default {
+  name: 'get_basketball_schedule',
+  description: 'Get basketball team schedule with dates, tip times, venues, TV, neutral-site markers and results',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      year: yearProperty,
+      conferenceOnly: conferenceOnlyProperty,
+      timeZone: timeZoneProperty
+    },
+    required: ['team']
+  },
+  outputSchema: objectOf({
+    ...seasonProperties,
+    conferenceOnly: { type: 'boolean' },
+    timeZone: { type: 'string' },
+    games: arrayOf(gameSchema),
+    daysSinceLastGame: nullable('integer')
+  }),
+
+  async handler(args) {
+    const { team, year } = await teamAndSeason(args);
+    const timeZone = resolveTimeZone(args.timeZone);
+    const data = await cfbdGet('/games', { team, season: year });
+
+    if (!data || data.length === 0) {
+      return `No schedule found for ${team.toUpperCase()} basketball in ${year}`;
+    }
+
+    // Filter to only games from requested year, in date order
+    const filteredGames = data
+      .filter(game => game.season === year && (!args.conferenceOnly || game.conferenceGame))
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+    if (filteredGames.length === 0) {
+      return `No basketball games found for ${team.toUpperCase()} in the ${seasonLabel(year)} season.\n\n${currentSeasonHint()}`;
+    }
+
+    const broadcasts = await fetchBroadcasts(team, year);
+
+    const scope = args.conferenceOnly ? ' (Conference Games)' : '';
+    let text = `🏀 ${team.toUpperCase()} BASKETBALL SCHEDULE - ${seasonLabel(year)} Season${scope}\n`;
+    text += `Times: ${timeZone}\n\n`;
+
+    filteredGames.forEach((game, idx) => {
+      const view = teamView(game, team);
+
+      text += `${idx + 1}. ${formatTipoff(game, timeZone)}  ${view.location} ${view.opponent}`;
+      if (view.neutral) text += ` (N)`;
+      text += statusText(game, view);
+      text += `\n`;
+
+      const details = [formatVenue(game), broadcasts.get(game.id) || game.tv].filter(Boolean);
+      if (details.length > 0) text += `   ${details.join(' · ')}\n`;
+    });
+
+    const last = latestCompleted(filteredGames);
+    const days = year === currentSeason() && last ? daysBetween(last.startDate, new Date(), timeZone) : null;
+    if (days != null) {
+      text += `\nLast game: ${days === 0 ? 'today' : `${days} day${days === 1 ? '' : 's'} ago`}`;
+    }
+    text += `\n(N) = neutral site`;
+
+    const result = {
+      team,
+      season: year,
+      conferenceOnly: args.conferenceOnly,
+      timeZone,
+      games: filteredGames.map(game => ({ ...gameData(game, team), tv: broadcasts.get(game.id) || game.tv || null })),
+      daysSinceLastGame: days
+    };
+    return { text, data: result };
+  }
+};
@@ -0,0 +1,183 @@
+import { teamProperty, yearProperty, teamAndSeason } from '../lib/args.js';
+import { UpstreamError } from '../lib/cfbd.js';
+import { seasonLabel } from '../lib/format.js';
+import {
+  fetchSeasonGames,
+  fetchActiveSeasonGames,
+  refreshLiveGames,
+  latestCompleted,
+  upcomingGames,
+  teamView,
+  gameState,
+  gameData,
+  formatTipoff
+} from '../lib/games.js';
+import { log } from '../lib/logger.js';
+import { fetchPlays, scoringPlays, periodLabel, scoreLine } from '../lib/plays.js';
+import { objectOf, arrayOf, nullable, orNull, gameSchema, seasonProperties } from '../lib/schemas.js';
+
+const RECENT_SCORING = 5;
+
+// "2nd Half", "OT", "2OT" from how many periods have been scored
+function periodName(period) {
+  if (period <= 2) return period === 1 ? '1st Half' : '2nd Half';
+  return period === 3 ? 'OT' : `${period - 2}OT`;
+}
+
+async function liveScore(game, team) {
+  const view = teamView(game, team);
+
+  // Without the play feed the game record still has the score and period
+  let plays = [];
+  try {
+    plays = await fetchPlays(game.id, { live: true });
+  } catch (err) {
+    if (!(err instanceof UpstreamError)) throw err;
+    log.warn('Play feed unavailable for live score', { gameId: game.id, error: err });
+  }
+  const last = plays.filter(p => p.homeScore != null && p.awayScore != null).pop();
+
+  // The play feed usually runs ahead of the game record's score
+  const home = last?.homeScore ?? game.homePoints ?? 0;
+  const away = last?.awayScore ?? game.awayPoints ?? 0;
+  const teamScore = view.isHome ? home : away;
+  const oppScore = view.isHome ? away : home;
+
+  let text = `🏀 ${team.toUpperCase()} BASKETBALL - LIVE\n\n`;
+  text += `${view.location} ${view.opponent}${view.neutral ? ' (N)' : ''}\n`;
+  text += `Score: ${teamScore}-${oppScore}`;
+  text += teamScore === oppScore ? ` (tied)\n` : ` (${teamScore > oppScore ? 'leading' : 'trailing'} by ${Math.abs(teamScore - oppScore)})\n`;
+
+  let clock = null;
+  const status = String(game.status || '').toLowerCase();
+  if (status.includes('half')) {
+    clock = 'Halftime';
+  } else if (last) {
+    clock = periodLabel(last);
+  } else {
+    const periods = game.homePeriodPoints?.length || game.period;
+    if (periods) clock = periodName(periods);
+  }
+  text += clock === 'Halftime' ? `Status: Halftime\n` : `Status: In progress${clock ? ` - ${clock}` : ''}\n`;
+
+  const recent = scoringPlays(plays).slice(-RECENT_SCORING).reverse();
+  if (recent.length > 0) {
+    text += `\nRECENT SCORING:\n`;
+    for (const s of recent) {
+      text += `${periodLabel(s.play).padEnd(10)} ${scoreLine(s.play).padStart(7)}  ${s.play.playText || `${s.points} pts`}\n`;
+    }
+    text += `(scores away-home)\n`;
+  }
+
+  const data = {
+    state: 'live',
+    game: { ...gameData(game, team), homePoints: home, awayPoints: away, teamScore, oppScore },
+    clock,
+    recentScoring: recent.map(s => ({
+      clock: periodLabel(s.play),
+      team: s.side === 'home' ? game.homeTeam : game.awayTeam,
+      points: s.points,
+      homeScore: s.home,
+      awayScore: s.away,
+      description: s.play.playText ?? null
+    }))
+  };
+  return { text, data };
+}
+
+// Postponed or canceled games since the last final, and the next scheduled tip
+function scheduleNotes(games, since, team) {
+  let text = '';
+  const after = since ? games.filter(g => new Date(g.startDate) > new Date(since.startDate)) : games;
+  const disrupted = after.filter(g => ['postponed', 'canceled'].includes(gameState(g)));
+  for (const game of disrupted) {
+    const view = teamView(game, team);
+    text += `${gameState(game) === 'postponed' ? 'Postponed' : 'Canceled'}: ${formatTipoff(game)} ${view.location} ${view.opponent}\n`;
+  }
+
+  const next = upcomingGames(games).find(g => gameState(g) === 'scheduled');
+  if (next) {
+    const view = teamView(next, team);
+    text += `Next game: ${formatTipoff(next)} ${view.location} ${view.opponent}${view.neutral ? ' (N)' : ''}\n`;
+  }
+  return { text, disrupted, next };
+}
+
+export default {
+  name: 'get_basketball_score',
+  description: 'Get a team\'s live score (period, clock and recent scoring) when a game is in progress, otherwise the most recent final plus any postponed, canceled or next scheduled game',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      year: yearProperty
+    },
+    required: ['team']
+  },
+  outputSchema: objectOf({
+    ...seasonProperties,
+    state: { type: 'string', enum: ['live', 'final', 'none'] },
+    game: { ...orNull(gameSchema), description: 'The live game, or the most recent final' },
+    clock: { ...nullable('string'), description: 'Live only: "2H 4:12", "Halftime"' },
+    recentScoring: arrayOf(objectOf({
+      clock: { type: 'string' },
+      team: { type: 'string' },
+      points: { type: 'integer' },
+      homeScore: { type: 'integer' },
+      awayScore: { type: 'integer' },
+      description: nullable('string')
+    })),
+    postponedOrCanceled: arrayOf(gameSchema),
+    nextGame: orNull(gameSchema)
+  }),
+
+  async handler(args) {
+    const season = await teamAndSeason(args);
+    const { team } = season;
+    // No year given: switch to next season once its first game has tipped
+    const started = games => games.some(g => new Date(g.startDate) <= new Date());
+    const { year, games } = args.year === undefined
+      ? await fetchActiveSeasonGames(team, season.year, { ready: started })
+      : { year: season.year, games: await fetchSeasonGames(team, season.year) };
+    const seasonGames = await refreshLiveGames(games, team, year);
+
+    if (seasonGames.length === 0) {
+      return `No basketball games found for ${team.toUpperCase()} in the ${seasonLabel(year)} season`;
+    }
+
+    // A game in progress beats the last final
+    const liveGame = seasonGames.find(g => gameState(g) === 'live');
+    if (liveGame) {
+      const live = await liveScore(liveGame, team);
+      return { text: live.text, data: { team, season: year, ...live.data } };
+    }
+
+    // Most recent COMPLETED game
+    const recentGame = latestCompleted(seasonGames);
+    const notes = scheduleNotes(seasonGames, recentGame, team);
+    const data = {
+      team,
+      season: year,
+      state: recentGame ? 'final' : 'none',
+      game: recentGame ? gameData(recentGame, team) : null,
+      postponedOrCanceled: notes.disrupted.map(g => gameData(g, team)),
+      nextGame: notes.next ? gameData(notes.next, team) : null
+    };
+
+    if (!recentGame) {
+      let text = `No completed games found for ${team.toUpperCase()} in the ${seasonLabel(year)} season yet.`;
+      if (notes.text) text += `\n\n${notes.text}`;
+      return { text, data };
+    }
+
+    const { opponent, location, teamScore, oppScore, result } = teamView(recentGame, team);
+
+    let text = `🏀 ${team.toUpperCase()} BASKETBALL - Most Recent Game\n\n`;
+    text += `${result} ${location} ${opponent}\n`;
+    text += `Final: ${teamScore}-${oppScore}\n`;
+    text += `Status: Final\n`;
+    if (notes.text) text += `\n${notes.text}`;
+
+    return { text, data };
+  }
+};
@@ -0,0 +1,109 @@
+import { cfbdGet } from '../lib/cfbd.js';
+import { teamProperty, yearProperty, queryProperty, conferenceOnlyProperty, teamAndSeason } from '../lib/args.js';
+import { seasonLabel, currentSeasonHint } from '../lib/format.js';
+import { lookupPlayer } from '../lib/players.js';
+import { conferencePlayerLines } from '../lib/splits.js';
+import { objectOf, arrayOf, nullable, orNull, shootingSchema, seasonProperties } from '../lib/schemas.js';
+
+const SHOT_TYPES = { fieldGoals: 'fieldGoals', twoPointers: 'twoPointFieldGoals', threePointers: 'threePointFieldGoals', freeThrows: 'freeThrows' };
+
+// Made/attempted/pct for each shot type on one CFBD player line
+function shootingData(player) {
+  const data = { name: player.name, games: player.games ?? null };
+  for (const [key, field] of Object.entries(SHOT_TYPES)) {
+    const shots = player[field] || {};
+    data[key] = { made: shots.made ?? null, attempted: shots.attempted ?? null, pct: shots.pct ?? null };
+  }
+  return data;
+}
+
+const shooterSchema = objectOf({
+  name: { type: 'string' },
+  games: nullable('integer'),
+  ...Object.fromEntries(Object.keys(SHOT_TYPES).map(key => [key, shootingSchema]))
+}, ['name']);
+
+export default {
+  name: 'get_basketball_shooting_stats',
+  description: 'Get shooting statistics (FG%, 3PT%, FT%) for team or player',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      year: yearProperty,
+      query: queryProperty,
+      conferenceOnly: conferenceOnlyProperty,
+      minAttempts: { type: 'integer', minimum: 0, default: 20, description: '3PT leaders: minimum three-point attempts (default: 20)' },
+      minGames: { type: 'integer', minimum: 0, default: 0, description: '3PT leaders: minimum games played (default: 0)' }
+    },
+    required: ['team']
+  },
+  outputSchema: objectOf({
+    ...seasonProperties,
+    conferenceOnly: { type: 'boolean' },
+    player: { ...orNull(shooterSchema), description: 'The player asked for by query' },
+    minAttempts: { type: 'integer' },
+    topThreePointShooters: arrayOf(shooterSchema)
+  }),
+
+  async handler(args) {
+    const { team, year } = await teamAndSeason(args);
+    const data = args.conferenceOnly
+      ? await conferencePlayerLines(team, year)
+      : await cfbdGet('/stats/player/season', { team, season: year });
+
+    if (!data || data.length === 0) {
+      return `No shooting stats found for ${team.toUpperCase()} basketball in the ${seasonLabel(year)} season`;
+    }
+
+    // Filter to requested season
+    const seasonData = data.filter(p => p.season === year);
+
+    if (seasonData.length === 0) {
+      return `No shooting stats found for ${team.toUpperCase()} basketball in the ${seasonLabel(year)} season.\n\n${currentSeasonHint()}`;
+    }
+
+    const scope = args.conferenceOnly ? ' (Conference Games)' : '';
+    let text = `🏀 ${team.toUpperCase()} SHOOTING STATS - ${seasonLabel(year)}${scope}\n\n`;
+    const result = { team, season: year, conferenceOnly: args.conferenceOnly, player: null, minAttempts: args.minAttempts, topThreePointShooters: [] };
+
+    if (args.query) {
+      const match = await lookupPlayer(args.query, { team, year, stats: seasonData });
+
+      if (!match?.stats) {
+        return `No shooting stats found for ${match?.name || args.query} on ${team.toUpperCase()} in the ${seasonLabel(year)} season`;
+      }
+
+      const player = match.stats;
+      const games = player.games || 1;
+      text = `🏀 ${player.name?.toUpperCase()} SHOOTING - ${seasonLabel(year)}${scope}\n\n`;
+
+      if (player.fieldGoals?.pct) text += `FG%: ${player.fieldGoals.pct.toFixed(1)}%\n`;
+      if (player.twoPointFieldGoals?.pct) text += `2PT%: ${player.twoPointFieldGoals.pct.toFixed(1)}%\n`;
+      if (player.threePointFieldGoals?.pct) text += `3PT%: ${player.threePointFieldGoals.pct.toFixed(1)}%\n`;
+      if (player.freeThrows?.pct) text += `FT%: ${player.freeThrows.pct.toFixed(1)}%\n`;
+      if (player.points) text += `PPG: ${(player.points / games).toFixed(1)}\n`;
+      result.player = shootingData(player);
+    } else {
+      // Top 3PT shooters with minimum attempts
+      const qualifiedShooters = seasonData.filter(p =>
+        p.threePointFieldGoals?.attempted >= args.minAttempts &&
+        (p.games || 0) >= args.minGames &&
+        p.threePointFieldGoals?.pct > 0
+      );
+
+      const top3PT = qualifiedShooters
+        .sort((a, b) => b.threePointFieldGoals.pct - a.threePointFieldGoals.pct)
+        .slice(0, 5);
+
+      text += `TOP 3-POINT SHOOTERS (min ${args.minAttempts} attempts):\n`;
+      top3PT.forEach((p, i) => {
+        text += `${i + 1}. ${p.name}: ${p.threePointFieldGoals.pct.toFixed(1)}%`;
+        text += ` (${p.threePointFieldGoals.made}/${p.threePointFieldGoals.attempted})\n`;
+      });
+      result.topThreePointShooters = top3PT.map(shootingData);
+    }
+
+    return { text, data: result };
+  }
+};
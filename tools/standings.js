@@ -0,0 +1,150 @@
+import { cfbdGet } from '../lib/cfbd.js';
+import { yearProperty } from '../lib/args.js';
+import { ToolError } from '../lib/errors.js';
+import { seasonLabel, renderTable } from '../lib/format.js';
+import { isCompleted } from '../lib/games.js';
+import { currentSeason } from '../lib/seasons.js';
+import { normalizeName, resolveConference, resolveTeam } from '../lib/teams.js';
+import { objectOf, arrayOf, nullable } from '../lib/schemas.js';
+
+const recordSchema = { ...arrayOf({ type: 'integer' }), description: '[wins, losses]' };
+
+function emptyRecord(team) {
+  return {
+    team,
+    overall: [0, 0],
+    conference: [0, 0],
+    home: [0, 0],
+    away: [0, 0],
+    neutral: [0, 0],
+    results: []
+  };
+}
+
+const winPct = ([w, l]) => (w + l ? w / (w + l) : 0);
+const wl = ([w, l]) => `${w}-${l}`;
+
+function streak(results) {
+  if (results.length === 0) return '-';
+  const last = results[results.length - 1];
+  let n = 0;
+  for (let i = results.length - 1; i >= 0 && results[i] === last; i--) n++;
+  return `${last}${n}`;
+}
+
+// Conference standings built from completed game results
+function buildStandings(games, inConference) {
+  const records = new Map();
+  const recordFor = team => {
+    if (!records.has(team)) records.set(team, emptyRecord(team));
+    return records.get(team);
+  };
+
+  const ordered = games.filter(isCompleted).sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+  for (const game of ordered) {
+    const sides = [
+      { team: game.homeTeam, conf: game.homeConference, pts: game.homePoints, opp: game.awayPoints, venue: 'home' },
+      { team: game.awayTeam, conf: game.awayConference, pts: game.awayPoints, opp: game.homePoints, venue: 'away' }
+    ];
+    const conferenceGame = game.conferenceGame ?? (inConference(game.homeConference) && inConference(game.awayConference));
+
+    for (const side of sides) {
+      if (!inConference(side.conf)) continue;
+      const record = recordFor(side.team);
+      const won = side.pts > side.opp ? 0 : 1;
+      const venue = game.neutralSite ? 'neutral' : side.venue;
+      record.overall[won]++;
+      record[venue][won]++;
+      if (conferenceGame) record.conference[won]++;
+      record.results.push(won === 0 ? 'W' : 'L');
+    }
+  }
+
+  const table = [...records.values()].sort((a, b) =>
+    (winPct(b.conference) - winPct(a.conference)) ||
+    (b.conference[0] - a.conference[0]) ||
+    (winPct(b.overall) - winPct(a.overall))
+  );
+
+  const leader = table[0];
+  for (const row of table) {
+    row.gamesBack = ((leader.conference[0] - row.conference[0]) + (row.conference[1] - leader.conference[1])) / 2;
+  }
+  return table;
+}
+
+export default {
+  name: 'get_basketball_standings',
+  description: 'Conference standings from game results: conference and overall records, games back, home/away/neutral splits and current streaks for every team in a conference (e.g., "SEC"). Pass a team to use its conference.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      conference: { type: 'string', description: 'Conference name or abbreviation (e.g., "SEC", "Big 12")' },
+      team: { type: 'string', description: 'Team name; standings for its conference (used when conference is omitted)' },
+      year: yearProperty
+    }
+  },
+  outputSchema: objectOf({
+    conference: { type: 'string' },
+    season: { type: 'integer' },
+    standings: arrayOf(objectOf({
+      rank: { type: 'integer' },
+      team: { type: 'string' },
+      conference: recordSchema,
+      gamesBack: { type: 'number' },
+      overall: recordSchema,
+      home: recordSchema,
+      away: recordSchema,
+      neutral: recordSchema,
+      streak: nullable('string')
+    }))
+  }),
+
+  async handler(args) {
+    const year = args.year ?? currentSeason();
+    if (!args.conference && !args.team) {
+      throw new ToolError('Provide a conference (e.g., "SEC") or a team');
+    }
+
+    let conferenceInput = args.conference;
+    if (!conferenceInput) {
+      const team = await resolveTeam(args.team);
+      if (!team.conference) throw new ToolError(`No conference is listed for ${team.school}`);
+      conferenceInput = team.conference;
+    }
+
+    const conference = await resolveConference(conferenceInput);
+    const label = conference.abbreviation || conference.shortName || conference.name;
+    const aliases = [conference.abbreviation, conference.shortName, conference.name].filter(Boolean).map(normalizeName);
+    const inConference = name => Boolean(name) && aliases.includes(normalizeName(name));
+
+    const data = await cfbdGet('/games', { conference: label, season: year });
+    const games = (data || []).filter(g => g.season === year);
+    const table = buildStandings(games, inConference);
+
+    if (table.length === 0) {
+      return `No completed ${label} games found for the ${seasonLabel(year)} season.`;
+    }
+
+    const rows = table.map((r, i) => [
+      `${i + 1}. ${r.team}`,
+      wl(r.conference),
+      r.gamesBack === 0 ? '-' : r.gamesBack.toFixed(1),
+      wl(r.overall),
+      wl(r.home),
+      wl(r.away),
+      wl(r.neutral),
+      streak(r.results)
+    ]);
+
+    let text = `🏀 ${label.toUpperCase()} STANDINGS - ${seasonLabel(year)}\n\n`;
+    text += renderTable(['Team', 'Conf', 'GB', 'Overall', 'Home', 'Away', 'Neutral', 'Streak'], rows);
+
+    const standings = table.map(({ results, ...r }, i) => ({
+      rank: i + 1,
+      ...r,
+      streak: results.length > 0 ? streak(results) : null
+    }));
+    return { text, data: { conference: label, season: year, standings } };
+  }
+};
@@ -0,0 +1,160 @@
+import { cfbdGet } from '../lib/cfbd.js';
+import { teamProperty, yearProperty, conferenceOnlyProperty, teamAndSeason } from '../lib/args.js';
+import { seasonLabel, currentSeasonHint } from '../lib/format.js';
+import { log } from '../lib/logger.js';
+import { perGame, teamLine, advancedTeam } from '../lib/stats.js';
+import { conferenceTeamLine } from '../lib/splits.js';
+import { objectOf, nullable, orNull, teamLineSchema, advancedTeamSchema, seasonProperties } from '../lib/schemas.js';
+
+const fmt = (value, digits = 1, suffix = '') => (value == null ? '-' : `${value.toFixed(digits)}${suffix}`);
+
+// CFBD's opponent-adjusted efficiency, when the ratings endpoint has the team
+async function adjustedRatings(team, year) {
+  try {
+    const data = await cfbdGet('/ratings/adjusted', { team, season: year });
+    return (data || []).find(r => r.season === year) || null;
+  } catch (err) {
+    log.warn('Adjusted ratings unavailable', { team, error: err.message });
+    return null;
+  }
+}
+
+function advancedSection(adv, adjusted, team) {
+  const { offense, defense } = adv;
+
+  let text = `\nTEMPO-FREE (per 100 possessions):\n`;
+  text += `Possessions: ${fmt(adv.possessions, 0)} (${fmt(adv.pace)} per game)\n`;
+  text += `Offensive Efficiency: ${fmt(adv.offRtg)}\n`;
+  text += `Defensive Efficiency: ${fmt(adv.defRtg)}\n`;
+  text += `Net Efficiency: ${adv.netRtg != null && adv.netRtg >= 0 ? '+' : ''}${fmt(adv.netRtg)}\n`;
+  text += `True Shooting %: ${fmt(adv.tsPct, 1, '%')} (opponents ${fmt(adv.oppTsPct, 1, '%')})\n`;
+
+  text += `\nFOUR FACTORS          Offense  Defense\n`;
+  text += `Effective FG%         ${fmt(offense.efgPct, 1, '%').padStart(7)}  ${fmt(defense.efgPct, 1, '%').padStart(7)}\n`;
+  text += `Turnover %            ${fmt(offense.tovPct, 1, '%').padStart(7)}  ${fmt(defense.tovPct, 1, '%').padStart(7)}\n`;
+  text += `Off. Rebound %        ${fmt(offense.orbPct, 1, '%').padStart(7)}  ${fmt(defense.orbPct, 1, '%').padStart(7)}\n`;
+  text += `FT Rate (FTA/FGA)     ${fmt(offense.ftRate, 1, '%').padStart(7)}  ${fmt(defense.ftRate, 1, '%').padStart(7)}\n`;
+  text += `(Defense = what opponents did against ${team})\n`;
+
+  if (adjusted) {
+    const rank = key => (adjusted.rankings?.[key] ? ` (#${adjusted.rankings[key]})` : '');
+    text += `\nADJUSTED EFFICIENCY (CFBD):\n`;
+    text += `Adj. Offense: ${fmt(adjusted.offensiveRating)}${rank('offense')}\n`;
+    text += `Adj. Defense: ${fmt(adjusted.defensiveRating)}${rank('defense')}\n`;
+    text += `Adj. Net: ${fmt(adjusted.netRating)}${rank('net')}\n`;
+  }
+
+  return text;
+}
+
+export default {
+  name: 'get_basketball_team_stats',
+  description: 'Get team basketball statistics for a season. detail="advanced" adds possessions, pace, offensive/defensive/net efficiency, true shooting and the four factors for the team and its opponents',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      team: teamProperty,
+      year: yearProperty,
+      conferenceOnly: conferenceOnlyProperty,
+      detail: { type: 'string', enum: ['basic', 'advanced'], default: 'basic', description: 'basic: shooting and per-game stats; advanced: adds tempo-free efficiency and four factors' }
+    },
+    required: ['team']
+  },
+  outputSchema: objectOf({
+    ...seasonProperties,
+    conferenceOnly: { type: 'boolean' },
+    stats: teamLineSchema,
+    advanced: { ...orNull(advancedTeamSchema), description: 'detail="advanced" only' },
+    adjusted: orNull(objectOf({
+      offRtg: nullable('number'),
+      defRtg: nullable('number'),
+      netRtg: nullable('number'),
+      offRank: nullable('integer'),
+      defRank: nullable('integer'),
+      netRank: nullable('integer')
+    }))
+  }),
+
+  async handler(args) {
+    const { team, year } = await teamAndSeason(args);
+    const data = args.conferenceOnly
+      ? [await conferenceTeamLine(team, year)].filter(Boolean)
+      : await cfbdGet('/stats/team/season', { team, season: year });
+
+    if (!data || data.length === 0) {
+      return `No ${args.conferenceOnly ? 'conference-game ' : ''}team stats found for ${team.toUpperCase()} basketball in ${year}`;
+    }
+
+    // Filter to only the requested year
+    const filteredData = data.filter(d => d.season === year);
+
+    if (filteredData.length === 0) {
+      return `No team stats found for ${team.toUpperCase()} basketball in the ${seasonLabel(year)} season.\n\n${currentSeasonHint()}`;
+    }
+
+    const teamData = filteredData[0];
+    const stats = teamData.teamStats;
+
+    const scope = args.conferenceOnly ? ' (Conference Games)' : '';
+    let text = `🏀 ${team.toUpperCase()} BASKETBALL TEAM STATS - ${seasonLabel(year)} Season${scope}\n\n`;
+
+    if (teamData.games) text += `Games Played: ${teamData.games}\n`;
+    if (teamData.wins !== undefined && teamData.losses !== undefined) {
+      text += `Record: ${teamData.wins}-${teamData.losses}\n\n`;
+    }
+
+    // Field goals
+    if (stats.fieldGoals) {
+      if (stats.fieldGoals.pct !== null) {
+        text += `Field Goal %: ${(stats.fieldGoals.pct * 100).toFixed(1)}%\n`;
+      }
+    }
+
+    // Three pointers
+    if (stats.threePointFieldGoals) {
+      if (stats.threePointFieldGoals.pct !== null) {
+        text += `Three Point %: ${(stats.threePointFieldGoals.pct * 100).toFixed(1)}%\n`;
+      }
+    }
+
+    // Free throws
+    if (stats.freeThrows) {
+      if (stats.freeThrows.pct !== null) {
+        text += `Free Throw %: ${(stats.freeThrows.pct * 100).toFixed(1)}%\n`;
+      }
+    }
+
+    // Other stats - calculate per-game averages
+    const games = teamData.games || 1; // Prevent division by zero
+
+    const perGameLine = (label, value) => {
+      const avg = perGame(value, games);
+      if (avg) text += `${label} Per Game: ${avg.toFixed(1)}\n`;
+    };
+    perGameLine('Assists', stats.assists);
+    perGameLine('Rebounds', stats.rebounds);
+    perGameLine('Steals', stats.steals);
+    perGameLine('Blocks', stats.blocks);
+    perGameLine('Turnovers', stats.turnovers);
+
+    const result = { team, season: year, conferenceOnly: args.conferenceOnly, stats: teamLine(teamData), advanced: null, adjusted: null };
+
+    if (args.detail === 'advanced') {
+      const adjusted = args.conferenceOnly ? null : await adjustedRatings(team, year);
+      result.advanced = advancedTeam(teamData);
+      text += advancedSection(result.advanced, adjusted, team);
+      if (adjusted) {
+        result.adjusted = {
+          offRtg: adjusted.offensiveRating ?? null,
+          defRtg: adjusted.defensiveRating ?? null,
+          netRtg: adjusted.netRating ?? null,
+          offRank: adjusted.rankings?.offense ?? null,
+          defRank: adjusted.rankings?.defense ?? null,
+          netRank: adjusted.rankings?.net ?? null
+        };
+      }
+    }
+
+    return { text, data: result };
+  }
+};